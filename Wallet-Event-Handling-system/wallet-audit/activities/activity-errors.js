@@ -0,0 +1,105 @@
+const { ApplicationFailure } = require('@temporalio/activity');
+const { AuditRulesError } = require('../services/audit-rules');
+
+/**
+ * Errors of the wallet activities, each marked retryable or not. Temporal sees the class name as
+ * the failure type, so the workflow can report why a partition failed.
+ */
+class AuditError extends Error {
+    constructor(message, { retryable = true, cause } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.retryable = retryable;
+        this.cause = cause;
+    }
+}
+
+/**
+ * The wallet database is locked, busy or cannot be opened right now
+ */
+class DatabaseUnavailableError extends AuditError {
+    constructor(message, options = {}) {
+        super(message, { ...options, retryable: true });
+    }
+}
+
+/**
+ * A query does not match the database schema; retrying cannot fix it
+ */
+class SchemaError extends AuditError {
+    constructor(message, options = {}) {
+        super(message, { ...options, retryable: false });
+    }
+}
+
+/**
+ * Events could neither be queued nor spooled to disk
+ */
+class QueueUnavailableError extends AuditError {
+    constructor(message, options = {}) {
+        super(message, { ...options, retryable: true });
+    }
+}
+
+// SQLite result codes -> error class; other codes keep Temporal's default handling
+const SQLITE_ERRORS = {
+    SQLITE_BUSY: DatabaseUnavailableError,
+    SQLITE_LOCKED: DatabaseUnavailableError,
+    SQLITE_CANTOPEN: DatabaseUnavailableError,
+    SQLITE_IOERR: DatabaseUnavailableError,
+    SQLITE_MISMATCH: SchemaError,
+    SQLITE_CORRUPT: SchemaError,
+    SQLITE_NOTADB: SchemaError
+};
+
+// SQLITE_ERROR is SQLite's generic code; only a missing column or table is a schema mismatch
+const MISSING_SCHEMA_OBJECT = /no such (column|table)/;
+
+/**
+ * Map an error to its audit error class, or return it unchanged when it is not recognised
+ */
+function classifyError(error) {
+    if (error instanceof AuditError) return error;
+    // Rules that do not fit the wallets table fail every attempt alike
+    if (error instanceof AuditRulesError) return new SchemaError(error.message, { cause: error });
+
+    if (error && error.code === 'SQLITE_ERROR' && MISSING_SCHEMA_OBJECT.test(error.message)) {
+        return new SchemaError(error.message, { cause: error });
+    }
+    const ErrorClass = error && SQLITE_ERRORS[error.code];
+    if (ErrorClass) {
+        return new ErrorClass(error.message, { cause: error });
+    }
+    return error;
+}
+
+/**
+ * Wrap an activity so its audit errors reach Temporal as typed failures; a non-retryable one
+ * fails the activity right away, whatever the retry policy says
+ */
+function classifyActivityErrors(activity) {
+    return async function (...args) {
+        try {
+            return await activity(...args);
+        } catch (error) {
+            const classified = classifyError(error);
+            if (!(classified instanceof AuditError)) throw classified;
+
+            throw ApplicationFailure.create({
+                type: classified.name,
+                message: classified.message,
+                nonRetryable: !classified.retryable,
+                cause: classified.cause
+            });
+        }
+    };
+}
+
+module.exports = {
+    AuditError,
+    DatabaseUnavailableError,
+    SchemaError,
+    QueueUnavailableError,
+    classifyError,
+    classifyActivityErrors
+};
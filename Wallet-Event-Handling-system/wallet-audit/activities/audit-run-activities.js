@@ -0,0 +1,67 @@
+const { Context } = require('@temporalio/activity');
+const { openDatabase, closeDatabase } = require('../database/wallet-db');
+const { recordRunStart, recordRunFinish } = require('../database/audit-history');
+const { finishCohortRun } = require('../database/audit-cohorts');
+const { classifyActivityErrors } = require('./activity-errors');
+
+/**
+ * Activities recording the audit run itself in audit_runs; the partitions record themselves
+ */
+
+/**
+ * Record that the calling audit run started, once its partitions are planned
+ */
+async function startAuditRun({ numWorkers, totalWallets, totalPartitions, scan }) {
+    const { workflowExecution } = Context.current().info;
+    const db = await openDatabase();
+
+    try {
+        await recordRunStart(db, {
+            workflowId: workflowExecution.workflowId,
+            runId: workflowExecution.runId,
+            numWorkers,
+            totalWallets,
+            totalPartitions,
+            scan
+        });
+    } finally {
+        await closeDatabase(db);
+    }
+}
+
+/**
+ * Record the outcome (completed, partial, cancelled or failed) and summary of the calling audit run.
+ * A run of a cohort moves its rotation on, see finishCohortRun.
+ */
+async function finishAuditRun({ outcome, summary }) {
+    const { workflowExecution } = Context.current().info;
+    const db = await openDatabase();
+
+    try {
+        await recordRunFinish(db, { runId: workflowExecution.runId, outcome, summary });
+        console.log(`🗄️  Recorded audit run ${workflowExecution.workflowId}: ${outcome}`);
+
+        if (summary.cohort) {
+            const { next, advanced, repeats, alreadyCounted } = await finishCohortRun(
+                db, summary.cohort, outcome, workflowExecution.runId
+            );
+            const cohortLabel = `Cohort ${summary.cohort.index + 1} of ${summary.cohort.count}`;
+            if (alreadyCounted) {
+                console.log(`🔄 ${cohortLabel}: this run was already counted, next is cohort ${next.index + 1}`);
+            } else if (outcome === 'completed') {
+                console.log(`🔄 ${cohortLabel} done, next is cohort ${next.index + 1}`);
+            } else if (advanced) {
+                console.warn(`⚠️  ${cohortLabel} ${outcome}, ${repeats} runs of it did not complete, moving on to cohort ${next.index + 1}; its failed partitions wait for the next rotation`);
+            } else if (repeats > 0) {
+                console.log(`🔁 ${cohortLabel} ${outcome}, the next run scans it again (repeat ${repeats})`);
+            }
+        }
+    } finally {
+        await closeDatabase(db);
+    }
+}
+
+module.exports = {
+    startAuditRun: classifyActivityErrors(startAuditRun),
+    finishAuditRun: classifyActivityErrors(finishAuditRun)
+};
@@ -0,0 +1,114 @@
+const { Context } = require('@temporalio/activity');
+const { openDatabase, closeDatabase, get, resolveWalletFlag } = require('../database/wallet-db');
+const { queueService } = require('../services/queue-service');
+const { getAuditRules, getRuleColumns, evaluateCondition } = require('../services/audit-rules');
+
+/**
+ * Activities used by the per-event-type handler workflows.
+ * The wallet snapshot and flag resolution use the audit database; the actions themselves only
+ * report what they would do until the exchange integrations are wired in.
+ */
+
+/**
+ * Load the wallet's current rule columns, so handlers act on fresh data rather than on the queued
+ * item. raised tells whether the event still holds: its flag is set, or, for a rule without a
+ * flag, its condition still matches.
+ */
+async function loadWalletSnapshot(walletName, eventType) {
+    const rule = getAuditRules().find(candidate => candidate.event === eventType);
+    if (!rule) {
+        throw new Error(`Unknown event type ${eventType}`);
+    }
+
+    const columns = ['wallet_name', ...getRuleColumns().filter(column => column !== 'wallet_name')];
+    const db = await openDatabase();
+
+    try {
+        const wallet = await get(db, `SELECT ${columns.join(', ')} FROM wallets WHERE wallet_name = ?`, [walletName]);
+
+        if (!wallet) {
+            throw new Error(`Wallet ${walletName} not found`);
+        }
+        return {
+            wallet,
+            flag: rule.flag,
+            raised: rule.flag ? wallet[rule.flag] === 1 : evaluateCondition(rule.condition, wallet, rule.thresholds)
+        };
+    } finally {
+        await closeDatabase(db);
+    }
+}
+
+/**
+ * Clear the event's wallet flag once it has been handled, unless it was raised again meanwhile.
+ * A flag raised again stays set and is no longer tracked as open, so the next scan queues it anew.
+ */
+async function resolveEventFlag(event) {
+    const { workflowExecution } = Context.current().info;
+    const db = await openDatabase();
+
+    let outcome;
+    try {
+        outcome = await resolveWalletFlag(db, {
+            walletName: event.wallet_name,
+            eventType: event.event_type,
+            expectedVersion: event.flag_version ?? null,
+            resolvedBy: `workflow:${workflowExecution.workflowId}`,
+            itemId: event.item_id
+        });
+    } finally {
+        await closeDatabase(db);
+    }
+
+    if (outcome === 'conflict') {
+        console.warn(`⚠️  ${event.event_type} was raised again on ${event.wallet_name} while being handled, flag kept`);
+        if (await queueService.connect()) {
+            await queueService.forgetOpenEvent(event.wallet_name, event.event_type);
+        }
+    } else {
+        console.log(`✔️  ${event.event_type} on ${event.wallet_name}: ${outcome}`);
+    }
+
+    return outcome;
+}
+
+async function submitRebalance(wallet) {
+    console.log(`⚖️  Rebalancing ${wallet.wallet_name}`);
+    return { wallet_name: wallet.wallet_name, action: 'rebalance', handledAt: new Date().toISOString() };
+}
+
+async function assessOpenPositions(wallet) {
+    console.log(`📈 Reviewing open positions of ${wallet.wallet_name}`);
+    return { wallet_name: wallet.wallet_name, action: 'review_positions', handledAt: new Date().toISOString() };
+}
+
+async function reconcileOrderBook(wallet) {
+    console.log(`📑 Reconciling open orders of ${wallet.wallet_name}`);
+    return { wallet_name: wallet.wallet_name, action: 'reconcile_orders', handledAt: new Date().toISOString() };
+}
+
+async function refreshWalletBalance(walletName) {
+    console.log(`💰 Refreshing balance of ${walletName}`);
+    return { wallet_name: walletName, action: 'refresh_balance', handledAt: new Date().toISOString() };
+}
+
+async function verifyWalletBalance(walletName) {
+    console.log(`🔍 Verifying balance of ${walletName}`);
+    return { wallet_name: walletName, action: 'verify_balance', handledAt: new Date().toISOString() };
+}
+
+async function acknowledgeWalletEvent(event) {
+    console.log(`📌 ${event.event_type} on ${event.wallet_name} has no dedicated handler, acknowledging it`);
+    return { wallet_name: event.wallet_name, action: 'acknowledge', handledAt: new Date().toISOString() };
+}
+
+module.exports = {
+    loadWalletSnapshot,
+    resolveEventFlag,
+    submitRebalance,
+    assessOpenPositions,
+    reconcileOrderBook,
+    refreshWalletBalance,
+    verifyWalletBalance,
+    acknowledgeWalletEvent
+};
@@ -1,133 +1,458 @@
-const sqlite3 = require('sqlite3').verbose();
-const { redisQueueService } = require('../services/redis-queue');
+const os = require('os');
+const { Context } = require('@temporalio/activity');
+const { queueService } = require('../services/queue-service');
+const { openDatabase, closeDatabase, getWalletChangeSeq, getMissingWalletColumns, get, all } = require('../database/wallet-db');
+const { saveRunEvents, clearRunEvents } = require('../database/audit-results');
+const { assignCohortKeys, countUnassignedWallets, getNextCohort } = require('../database/audit-cohorts');
+const {
+    recordPartitionStart, recordPartitionFinish, recordPartitionFailure, getScanBaseline
+} = require('../database/audit-history');
+const {
+    evaluateRules, selectRules, conditionToSql, getConditionColumns, getEventTypes, getEventFlags, getRuleColumns
+} = require('../services/audit-rules');
+const { QueueUnavailableError, SchemaError, classifyError, classifyActivityErrors } = require('./activity-errors');
+
+// Wallets read, queued and checkpointed together; a retried activity resumes after the last completed chunk
+const CHUNK_SIZE = parseInt(process.env.WALLET_CHUNK_SIZE, 10) || 100;
 
 /**
- * Activity to process a range of wallets and add events to queue
+ * Activity to process one partition of wallets (see planWalletPartitions) and add events to queue.
+ * Wallets are processed in key order, CHUNK_SIZE at a time, heartbeating { lastKey, totals, eventCounts }
+ * after every chunk; a retry resumes from the heartbeat details instead of starting the partition over.
+ * The events found are stored per run (see audit-results.js); only counts are returned.
+ * Every attempt is recorded in audit_partitions (see audit-history.js).
+ *
+ * With options.dryRun the wallets are checked and reconciled as usual, but nothing is recorded,
+ * queued or marked open; only the events that would be queued are stored for the run.
+ * options.eventTypes limits the check to the rules of those event types (a rule set).
  */
-async function processWalletRange(startWallet, endWallet, workerId = 'unknown') {
-    console.log(`[Worker ${workerId}] Processing wallets ${startWallet} to ${endWallet}`);
+async function processWalletRange(partition, workerId = 'unknown', options = {}) {
+    const context = Context.current();
+    const checkpoint = context.info.heartbeatDetails || null;
+    const dryRun = options.dryRun === true;
+    const rules = selectRules(options.eventTypes || null);
+    
+    let lastKey = checkpoint ? checkpoint.lastKey : partition.afterKey;
+    const totals = checkpoint ? { ...checkpoint.totals } : {
+        walletsProcessed: 0,
+        eventsFound: 0,
+        newEvents: 0,
+        stillOpenEvents: 0,
+        resolvedEvents: 0
+    };
+    const eventCounts = checkpoint ? { ...checkpoint.eventCounts } : {};
+    
+    if (checkpoint) {
+        console.log(`[Worker ${workerId}] Resuming wallets ${partition.label} after ${lastKey} (attempt ${context.info.attempt}, ${totals.walletsProcessed} wallets done)`);
+    } else {
+        console.log(`[Worker ${workerId}] ${dryRun ? 'Dry run of' : 'Processing'} wallets ${partition.label}`);
+    }
     
     // Connect to Redis queue
-    const queueConnected = await redisQueueService.connect();
+    const queueConnected = await queueService.connect();
     if (!queueConnected) {
-        console.warn(`⚠️  [Worker ${workerId}] Redis not available, will use fallback logging`);
+        console.warn(`⚠️  [Worker ${workerId}] Redis not available, events will be spooled to disk`);
     }
     
     // Connect to the database
-    const db = new sqlite3.Database('./database/wallet_data.db');
+    const db = await openDatabase();
+    const origin = getActivityOrigin();
     
     try {
-        // Query wallets in the specified range
-        const wallets = await queryWalletsInRange(db, startWallet, endWallet);
-        
-        const events = [];
-        
-        // Process each wallet and create events for those that need processing
-        for (const wallet of wallets) {
-            const walletEvents = checkWalletForEvents(wallet);
-            if (walletEvents.length > 0) {
-                events.push({
-                    wallet_name: wallet.wallet_name,
-                    events: walletEvents
-                });
-            }
+        if (!dryRun) {
+            await recordPartitionStart(db, {
+                workflowId: origin.workflowId,
+                runId: origin.runId,
+                partition,
+                workerId,
+                workerIdentity: process.env.WALLET_WORKER_IDENTITY || `${process.pid}@${os.hostname()}`,
+                attempt: context.info.attempt
+            });
         }
         
-        console.log(`[Worker ${workerId}] Found ${events.length} wallets with events in range ${startWallet}-${endWallet}`);
+        // Results a failed attempt stored past the checkpoint are written again by this one
+        await clearRunEvents(db, {
+            runId: origin.runId,
+            partitionId: partition.partitionId,
+            afterKey: checkpoint ? lastKey : null
+        });
+        
+        let wallets;
+        do {
+            wallets = await queryWalletsInRange(db, partition, lastKey, CHUNK_SIZE);
+            if (wallets.length === 0) break;
+            
+            const chunk = await processWalletChunk(db, wallets, partition, workerId, origin, { dryRun, rules });
+            Object.keys(totals).forEach(key => {
+                totals[key] += chunk[key];
+            });
+            Object.entries(chunk.eventCounts).forEach(([eventType, count]) => {
+                eventCounts[eventType] = (eventCounts[eventType] || 0) + count;
+            });
+            
+            // Checkpoint only once the chunk is stored and queued
+            lastKey = wallets[wallets.length - 1].wallet_name;
+            context.heartbeat({ lastKey, totals, eventCounts });
+            
+            // Stop between chunks when the workflow cancelled the activity
+            if (context.cancellationSignal.aborted) {
+                throw context.cancellationSignal.reason;
+            }
+        } while (wallets.length === CHUNK_SIZE);
         
-        // Add events to Redis queue
-        await addEventsToQueue(events, workerId);
+        console.log(`[Worker ${workerId}] Found ${totals.eventsFound} wallets with events in range ${partition.label}`);
+        console.log(`[Worker ${workerId}] Events: ${totals.newEvents} new, ${totals.stillOpenEvents} still open, ${totals.resolvedEvents} resolved`);
+        
+        if (!dryRun) {
+            await recordPartitionFinish(db, {
+                runId: origin.runId,
+                partitionId: partition.partitionId,
+                totals,
+                eventCounts
+            });
+        }
         
         return {
             workerId: workerId,
-            range: `${startWallet}-${endWallet}`,
-            walletsProcessed: wallets.length,
-            eventsFound: events.length,
-            events: events,
-            queueConnected: queueConnected
+            partitionId: partition.partitionId,
+            range: partition.label,
+            ...totals,
+            eventCounts,
+            queueConnected: queueConnected,
+            ...(dryRun && { dryRun })
         };
         
+    } catch (error) {
+        // Best effort, the database may be the reason the attempt failed
+        if (!dryRun) {
+            await recordPartitionFailure(db, {
+                runId: origin.runId,
+                partitionId: partition.partitionId,
+                error: classifyError(error)
+            }).catch(() => {});
+        }
+        throw error;
+        
     } finally {
-        db.close();
+        await closeDatabase(db);
         // Don't disconnect Redis here as it might be used by other workers
     }
 }
 
 /**
- * Query wallets in the specified range
+ * Check, store and queue the events of one chunk of wallets against the given rules.
+ * A dry run only checks and reconciles them, and stores the events it would queue.
  */
-function queryWalletsInRange(db, startWallet, endWallet) {
-    return new Promise((resolve, reject) => {
-        const query = `
-            SELECT wallet_name, rebalance, open_order, open_position, new_balance, check_balance
-            FROM wallets 
-            WHERE CAST(SUBSTR(wallet_name, 8) AS INTEGER) BETWEEN ? AND ?
-            ORDER BY wallet_name
-        `;
-        
-        db.all(query, [startWallet, endWallet], (err, rows) => {
-            if (err) {
-                reject(err);
-            } else {
-                resolve(rows);
-            }
+async function processWalletChunk(db, wallets, partition, workerId, origin, { dryRun = false, rules }) {
+    // Check every wallet against the audit rules; wallets without events are kept so cleared flags resolve open events
+    const observations = wallets.map(wallet => {
+        const walletEvents = evaluateRules(wallet, rules);
+        return {
+            wallet_name: wallet.wallet_name,
+            events: walletEvents,
+            flag_versions: getFlagVersions(wallet, walletEvents)
+        };
+    });
+    const events = observations.filter(observation => observation.events.length > 0);
+    const eventCounts = {};
+    events.forEach(event => {
+        event.events.forEach(eventType => {
+            eventCounts[eventType] = (eventCounts[eventType] || 0) + 1;
         });
     });
+    
+    // Only events that were not already open are queued again; reconciling only reads the tracking.
+    // Events outside the rule set were not checked, so they are neither new nor resolved.
+    const reconciliation = await queueService.reconcileOpenEvents(observations, getEventTypes(rules));
+    
+    // Keep the detailed results out of the workflow history; a dry run stores what it would queue
+    await saveRunEvents(db, {
+        workflowId: origin.workflowId,
+        runId: origin.runId,
+        partitionId: partition.partitionId,
+        events: dryRun ? reconciliation.newEvents : events
+    });
+    const counts = {
+        walletsProcessed: wallets.length,
+        eventsFound: events.length,
+        newEvents: reconciliation.newCount,
+        stillOpenEvents: reconciliation.stillOpenCount,
+        resolvedEvents: reconciliation.resolvedCount,
+        eventCounts
+    };
+    
+    if (dryRun) {
+        return counts;
+    }
+    
+    // Add new events to Redis queue (or the spool), and only then mark them as open.
+    // Failing here keeps the chunk out of the checkpoint, so the retry queues it again.
+    const queued = await addEventsToQueue(reconciliation.newEvents, workerId, origin);
+    if (!queued) {
+        throw new QueueUnavailableError(`Events of ${wallets.length} wallets could neither be queued nor spooled`);
+    }
+    await queueService.commitOpenEvents(reconciliation);
+    
+    return counts;
 }
 
 /**
- * Check if a wallet has any events that need processing
+ * Activity to split the wallets into at most numPartitions keyset partitions of about equal size,
+ * at the start of every run so new wallets are picked up. Works for any wallet_name, and every
+ * partition is an index range scan: wallet_name > afterKey AND wallet_name <= upToKey.
+ * The first partition has no lower bound and the last no upper bound, so nothing falls between runs.
+ *
+ * An incremental run only partitions (and later scans) the wallets changed since the high-water
+ * mark of the last completed run; see planScan for when a full sweep runs instead.
+ * scanOptions.segment ({ name, condition }) limits the run to the wallets matching the condition,
+ * whose columns must exist in the wallets table; runs of a segment or rule set (scanOptions.ruleSet)
+ * keep their own high-water mark.
+ *
+ * With scanOptions.cohorts (N) the run scans the next of N cohorts of the wallets in full instead
+ * (see audit-cohorts.js); the rotation moves on when the run finishes (see finishAuditRun).
+ * A dry run (scanOptions.dryRun) assigns no cohort keys, so it leaves out wallets without one.
  */
-function checkWalletForEvents(wallet) {
-    const events = [];
+async function planWalletPartitions(numPartitions, scanOptions = {}) {
+    const db = await openDatabase();
     
-    // Check each field and create events for 1s
-    if (wallet.rebalance === 1) {
-        events.push('REBALANCE_NEEDED');
+    try {
+        const segment = scanOptions.segment || null;
+        if (segment) {
+            const missing = await getMissingWalletColumns(db, getConditionColumns(segment.condition));
+            if (missing.length > 0) {
+                throw new SchemaError(`Segment ${segment.name} uses columns the wallets table does not have: ${missing.join(', ')}`);
+            }
+        }
+        let cohort = null;
+        if (scanOptions.cohorts) {
+            if (scanOptions.dryRun) {
+                const unassigned = await countUnassignedWallets(db);
+                if (unassigned > 0) {
+                    console.log(`🧪 ${unassigned} new wallets have no cohort yet and are left out of the dry run`);
+                }
+            } else {
+                const assigned = await assignCohortKeys(db);
+                if (assigned > 0) {
+                    console.log(`🎲 Assigned ${assigned} new wallets to cohorts`);
+                }
+            }
+            cohort = await getNextCohort(db, { rotation: getScanScope(scanOptions), count: scanOptions.cohorts });
+        }
+        
+        const scan = await planScan(db, { ...scanOptions, scope: getScanScope({ ...scanOptions, cohort }), cohort });
+        const filter = getScanFilter({ sinceSeq: scan.sinceSeq, segment, cohort });
+        const where = filter.conditions.length > 0 ? `WHERE ${filter.conditions.join(' AND ')}` : '';
+        
+        const { totalWallets } = await get(db, `SELECT COUNT(*) AS totalWallets FROM ${filter.from} ${where}`, filter.params);
+        if (totalWallets === 0) {
+            console.log(`📊 Found 0 wallets to scan (${scan.mode} scan)`);
+            return { totalWallets, partitions: [], scan };
+        }
+        
+        // Every walletsPerPartition-th key closes a partition; the last key is left open-ended
+        const walletsPerPartition = Math.ceil(totalWallets / numPartitions);
+        const boundaries = (await all(db, `
+            SELECT wallet_name FROM (
+                SELECT wallet_name, ROW_NUMBER() OVER (ORDER BY wallet_name) AS row_number
+                FROM ${filter.from}
+                ${where}
+            )
+            WHERE row_number % ? = 0 AND row_number < ?
+            ORDER BY wallet_name
+        `, [...filter.params, walletsPerPartition, totalWallets])).map(row => row.wallet_name);
+        
+        const partitions = [];
+        for (let i = 0; i <= boundaries.length; i++) {
+            const afterKey = i === 0 ? null : boundaries[i - 1];
+            const upToKey = i === boundaries.length ? null : boundaries[i];
+            partitions.push({
+                partitionId: i + 1,
+                afterKey,
+                upToKey,
+                sinceSeq: scan.sinceSeq,
+                segment,
+                cohort,
+                label: `(${afterKey ?? 'start'}, ${upToKey ?? 'end'}]`
+            });
+        }
+        
+        console.log(`📊 Found ${totalWallets} wallets to scan (${scan.mode} scan${scan.scope ? ` of ${scan.scope}` : ''}, ${scan.reason}), planned ${partitions.length} partitions of about ${walletsPerPartition}`);
+        return { totalWallets, partitions, scan };
+        
+    } finally {
+        await closeDatabase(db);
     }
+}
+
+/**
+ * Runs limited to a segment, rule set or cohort only cover part of the wallets or events, so each
+ * such scope keeps its own scan baseline; null is the scope of all wallets with all rules
+ */
+function getScanScope({ segment = null, ruleSet = null, cohort = null } = {}) {
+    const parts = [];
+    if (segment) parts.push(`segment=${segment.name}`);
+    if (ruleSet) parts.push(`rules=${ruleSet.name}`);
+    if (cohort) parts.push(`cohort=${cohort.index + 1}/${cohort.count}`);
+    return parts.length > 0 ? parts.join(';') : null;
+}
+
+/**
+ * FROM clause and WHERE conditions selecting the wallets a run scans: the changed ones only in an
+ * incremental run, and only the segment's and the cohort's when it has them
+ */
+function getScanFilter({ sinceSeq = null, segment = null, cohort = null }) {
+    const changedOnly = sinceSeq !== undefined && sinceSeq !== null;
+    const conditions = [];
+    const params = [];
     
-    if (wallet.open_order === 1) {
-        events.push('OPEN_ORDER_DETECTED');
+    if (changedOnly) {
+        conditions.push('change_seq > ?');
+        params.push(sinceSeq);
     }
-    
-    if (wallet.open_position === 1) {
-        events.push('OPEN_POSITION_DETECTED');
+    if (segment) {
+        const compiled = conditionToSql(segment.condition);
+        conditions.push(compiled.sql);
+        params.push(...compiled.params);
+    }
+    if (cohort) {
+        conditions.push('cohort_key % ? = ?');
+        params.push(cohort.count, cohort.index);
     }
     
-    if (wallet.new_balance === 1) {
-        events.push('NEW_BALANCE_UPDATE');
+    // Changed wallets are few, so they are found through the change_seq index rather than a full scan
+    return {
+        from: changedOnly ? 'wallets INDEXED BY idx_wallets_change_seq' : 'wallets',
+        conditions,
+        params
+    };
+}
+
+/**
+ * Decide between a full and an incremental scan. scanOptions.scanMode is 'auto' (default),
+ * 'full' or 'incremental'. A full sweep runs when requested, when no run completed yet, and in
+ * 'auto' mode when the last completed full sweep is older than scanOptions.fullSweepIntervalMinutes
+ * (default: 60), as a safety net for changes the change counter missed.
+ * The high-water mark is read before any wallet, so wallets written during the run are scanned again next time.
+ * Only completed runs of the same scope count (see getScanScope).
+ * A cohort (see planWalletPartitions) is always scanned in full, as its wallets are due.
+ */
+async function planScan(db, { scanMode = 'auto', fullSweepIntervalMinutes = 60, scope = null, cohort = null } = {}) {
+    const highWaterMark = await getWalletChangeSeq(db);
+    const baseline = await getScanBaseline(db, scope);
+    
+    const full = (reason) => ({ mode: 'full', sinceSeq: null, highWaterMark, scope, reason });
+    
+    if (cohort) {
+        return { ...full(`cohort ${cohort.index + 1} of ${cohort.count} in rotation`), cohort };
+    }
+    if (scanMode === 'full') {
+        return full('requested');
+    }
+    if (baseline.highWaterMark === null) {
+        return full('no completed run yet');
+    }
+    if (scanMode === 'auto') {
+        const sweepDueAt = baseline.lastFullSweepAt
+            ? new Date(baseline.lastFullSweepAt).getTime() + fullSweepIntervalMinutes * 60000
+            : 0;
+        if (Date.now() >= sweepDueAt) {
+            return full('periodic full sweep');
+        }
     }
     
-    if (wallet.check_balance === 1) {
-        events.push('BALANCE_CHECK_REQUIRED');
+    return {
+        mode: 'incremental',
+        sinceSeq: baseline.highWaterMark,
+        highWaterMark,
+        scope,
+        reason: `changed since ${baseline.highWaterMark}`
+    };
+}
+
+/**
+ * Query the next chunk of wallets in the specified partition after afterKey, in key order.
+ * Partitions of an incremental run only return wallets changed since its sinceSeq, and those of
+ * a segment or cohort only the wallets in it.
+ */
+function queryWalletsInRange(db, partition, afterKey, limit) {
+    const filter = getScanFilter(partition);
+    const conditions = [...filter.conditions];
+    const params = [...filter.params];
+    
+    if (afterKey !== null) {
+        conditions.push('wallet_name > ?');
+        params.push(afterKey);
+    }
+    if (partition.upToKey !== null) {
+        conditions.push('wallet_name <= ?');
+        params.push(partition.upToKey);
     }
+    params.push(limit);
+    
+    // The columns the audit rules read, and the version of every flag
+    const columns = new Set([
+        'wallet_name',
+        ...getRuleColumns(),
+        ...Object.values(getEventFlags()).map(flag => `${flag}_version`)
+    ]);
     
-    return events;
+    const query = `
+        SELECT ${[...columns].join(', ')}
+        FROM ${filter.from}
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY wallet_name
+        LIMIT ?
+    `;
+    
+    return all(db, query, params);
+}
+
+/**
+ * Version of each raised flag at detection time, so the handler can clear exactly this raise.
+ * Events whose rule has no flag carry no version.
+ */
+function getFlagVersions(wallet, events) {
+    const flags = getEventFlags();
+    const versions = {};
+    events.filter(eventType => flags[eventType]).forEach(eventType => {
+        versions[eventType] = wallet[`${flags[eventType]}_version`];
+    });
+    return versions;
 }
 
 /**
- * Add events to the processing queue
+ * Identify the workflow run and activity, used to derive stable queue item ids.
+ * The same activity keeps its id across retries.
  */
-async function addEventsToQueue(events, workerId) {
+function getActivityOrigin() {
+    const { workflowExecution, activityId } = Context.current().info;
+    return {
+        workflowId: workflowExecution.workflowId,
+        runId: workflowExecution.runId,
+        activityId
+    };
+}
+
+/**
+ * Add events to the processing queue.
+ * Returns true when every event was queued or spooled (or there was nothing to queue).
+ */
+async function addEventsToQueue(events, workerId, origin) {
     if (events.length === 0) {
-        console.log(`[Worker ${workerId}] No events to add to queue`);
-        return;
+        console.log(`[Worker ${workerId}] No new events to add to queue`);
+        return true;
     }
 
     try {
-        // Use Redis queue service to add events
-        const success = await redisQueueService.addEventsToQueue(events, workerId);
+        // Use Redis queue service to add events; it spools them to disk when Redis is down
+        const success = await queueService.addEventsToQueue(events, workerId, origin);
         
         if (success) {
-            console.log(`✅ [Worker ${workerId}] Successfully added ${events.length} events to Redis queue`);
-        } else {
-            // Fallback to logging if Redis fails
-            console.log(`[Worker ${workerId}] Adding events to queue (fallback logging):`);
-            events.forEach(event => {
-                console.log(`  [Worker ${workerId}] Wallet: ${event.wallet_name}, Events: [${event.events.join(', ')}]`);
-            });
+            console.log(`✅ [Worker ${workerId}] Successfully handed ${events.length} events to the queue`);
         }
         
+        return success;
+        
     } catch (error) {
         console.error(`❌ [Worker ${workerId}] Failed to add events to queue:`, error);
         
@@ -136,9 +461,12 @@ async function addEventsToQueue(events, workerId) {
         events.forEach(event => {
             console.log(`  [Worker ${workerId}] Wallet: ${event.wallet_name}, Events: [${event.events.join(', ')}]`);
         });
+        
+        return false;
     }
 }
 
 module.exports = {
-    processWalletRange
+    processWalletRange: classifyActivityErrors(processWalletRange),
+    planWalletPartitions: classifyActivityErrors(planWalletPartitions)
 }; 
\ No newline at end of file
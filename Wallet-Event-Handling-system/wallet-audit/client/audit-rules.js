@@ -0,0 +1,106 @@
+const { openDatabase, closeDatabase, get } = require('../database/wallet-db');
+const { getAuditRules, explainRules, getEventPriority } = require('../services/audit-rules');
+
+/**
+ * Print every audit rule and whether it fires for the wallet's current row
+ */
+async function testRules(walletName) {
+    const db = await openDatabase();
+    let wallet;
+    try {
+        wallet = await get(db, 'SELECT * FROM wallets WHERE wallet_name = ?', [walletName]);
+    } finally {
+        await closeDatabase(db);
+    }
+
+    if (!wallet) {
+        console.log(`📭 Wallet ${walletName} not found`);
+        return null;
+    }
+
+    const results = explainRules(wallet);
+    const fired = results.filter(result => result.fired).map(result => result.rule.event);
+
+    console.log(`🧪 Audit rules for ${walletName}`);
+    console.log('');
+    results.forEach(({ rule, fired: ruleFired, condition }) => {
+        console.log(`  ${ruleFired ? '✅' : '⬜'} ${rule.event} (priority ${rule.priority}): ${condition}`);
+    });
+    console.log('');
+    if (fired.length === 0) {
+        console.log('📊 No events raised');
+    } else {
+        console.log(`📊 Events: ${fired.join(', ')} (queue priority ${Math.max(...fired.map(event => getEventPriority(event)))})`);
+    }
+
+    return { wallet, fired };
+}
+
+/**
+ * Validate the rules file and its columns against the wallets table, then list the rules
+ */
+async function checkRules() {
+    const rules = getAuditRules();
+    // Opening the database checks the rule columns against the wallets table
+    await closeDatabase(await openDatabase());
+
+    console.log(`✅ ${rules.length} audit rules are valid`);
+    console.log('');
+    explainRules({}, rules).forEach(({ rule, condition }) => {
+        console.log(`  📏 ${rule.event} (priority ${rule.priority}${rule.flag ? `, flag ${rule.flag}` : ''}): ${condition}`);
+        if (rule.description) {
+            console.log(`     ${rule.description}`);
+        }
+    });
+
+    return rules;
+}
+
+// Allow running from command line
+if (require.main === module) {
+    const command = process.argv[2];
+    const args = process.argv.slice(3);
+
+    async function main() {
+        try {
+            switch (command) {
+                case 'test':
+                    if (!args[0]) {
+                        console.error('❌ Please provide a wallet name');
+                        console.error('Usage: node wallet-audit/client/audit-rules.js test <wallet>');
+                        process.exit(1);
+                    }
+                    if (!await testRules(args[0])) {
+                        process.exit(1);
+                    }
+                    break;
+
+                case 'validate':
+                    await checkRules();
+                    break;
+
+                default:
+                    console.log('📏 Wallet Audit Rules');
+                    console.log('=====================');
+                    console.log('');
+                    console.log('Usage:');
+                    console.log('  node wallet-audit/client/audit-rules.js test <wallet>   (which rules fire for a wallet)');
+                    console.log('  node wallet-audit/client/audit-rules.js validate        (check and list the rules)');
+                    console.log('');
+                    console.log('Or use npm scripts:');
+                    console.log('  npm run rules:test <wallet>');
+                    console.log('  npm run rules:validate');
+            }
+        } catch (error) {
+            console.error('❌ Error:', error.message);
+            process.exit(1);
+        }
+    }
+
+    main();
+}
+
+module.exports = {
+    testRules,
+    checkRules
+};
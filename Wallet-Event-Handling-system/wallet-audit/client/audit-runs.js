@@ -0,0 +1,226 @@
+const { openDatabase, closeDatabase } = require('../database/wallet-db');
+const { getRunEvents } = require('../database/audit-results');
+const { listRuns, getRun, getRunStats } = require('../database/audit-history');
+
+async function withDatabase(callback) {
+    const db = await openDatabase();
+    try {
+        return await callback(db);
+    } finally {
+        await closeDatabase(db);
+    }
+}
+
+function formatDuration(ms) {
+    if (ms === null || ms === undefined) return '-';
+    if (ms < 1000) return `${Math.round(ms)}ms`;
+    if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
+    return `${Math.floor(ms / 60000)}m ${Math.round((ms % 60000) / 1000)}s`;
+}
+
+function formatEventCounts(eventCounts) {
+    const entries = Object.entries(eventCounts || {});
+    return entries.length === 0 ? 'none' : entries.map(([eventType, count]) => `${eventType} ${count}`).join(', ');
+}
+
+/**
+ * Start of a --since window: an ISO date, or a duration back from now such as 7d, 24h or 30m
+ */
+function parseSince(value) {
+    const relative = /^(\d+)([dhm])$/.exec(value || '');
+    if (relative) {
+        const unitMs = { d: 86400000, h: 3600000, m: 60000 }[relative[2]];
+        return new Date(Date.now() - parseInt(relative[1], 10) * unitMs).toISOString();
+    }
+
+    const date = new Date(value);
+    if (!value || isNaN(date.getTime())) {
+        throw new Error(`Invalid --since value "${value}", use an ISO date or a duration like 7d, 24h, 30m`);
+    }
+    return date.toISOString();
+}
+
+/**
+ * Print the most recent audit runs
+ */
+async function showRunList({ since = null, limit = 20 } = {}) {
+    const runs = await withDatabase(db => listRuns(db, { since, limit }));
+
+    console.log(`📋 Audit runs${since ? ` since ${since}` : ''}: ${runs.length}`);
+    runs.forEach(auditRun => {
+        console.log('');
+        console.log(`  🆔 ${auditRun.workflow_id} (run ${auditRun.run_id})`);
+        console.log(`  📅 ${auditRun.started_at} [${auditRun.outcome}] ${formatDuration(auditRun.duration_ms)}, ${auditRun.scan_mode || '-'} scan${auditRun.scope ? ` of ${auditRun.scope}` : ''}`);
+        console.log(`  💼 ${auditRun.wallets_processed ?? '-'} of ${auditRun.total_wallets} wallets, ${auditRun.events_found ?? '-'} with events, ${auditRun.new_events ?? '-'} new` +
+            ` (${auditRun.num_workers} workers, ${auditRun.failed_partitions ?? 0} of ${auditRun.total_partitions} partitions failed)`);
+    });
+
+    return runs;
+}
+
+/**
+ * Print one audit run, by workflow or run id, with its partitions
+ */
+async function showRun(id) {
+    const auditRun = await withDatabase(db => getRun(db, id));
+    if (!auditRun) {
+        console.log(`📭 No audit run recorded for ${id}`);
+        return null;
+    }
+
+    console.log(`📋 Workflow ID: ${auditRun.workflow_id}`);
+    console.log(`🆔 Run ID: ${auditRun.run_id}`);
+    console.log(`📅 Outcome: ${auditRun.outcome}`);
+    console.log(`⏰ Started: ${auditRun.started_at}, finished: ${auditRun.finished_at || '-'} (${formatDuration(auditRun.duration_ms)})`);
+    console.log(`👥 Workers: ${auditRun.num_workers}`);
+    console.log(`🎯 Scope: ${auditRun.scope || 'all wallets, all rules'}`);
+    console.log(`🔎 Scan: ${auditRun.scan_mode || '-'}${auditRun.since_seq !== null ? ` (changed since ${auditRun.since_seq})` : ''}, high-water mark ${auditRun.high_water_mark ?? '-'}`);
+    console.log(`💼 Wallets processed: ${auditRun.wallets_processed ?? '-'} of ${auditRun.total_wallets}`);
+    console.log(`📊 Events found: ${auditRun.events_found ?? '-'} (${auditRun.new_events ?? '-'} new, ${auditRun.still_open_events ?? '-'} still open, ${auditRun.resolved_events ?? '-'} resolved)`);
+    console.log(`🏷️  Per event type: ${formatEventCounts(auditRun.event_counts)}`);
+    console.log('');
+    console.log(`📦 Partitions (${auditRun.partitions.length} of ${auditRun.total_partitions}):`);
+    auditRun.partitions.forEach(partition => {
+        console.log(`  ${partition.partition_id}. ${partition.range_label} [${partition.outcome}] ${formatDuration(partition.duration_ms)}` +
+            ` on ${partition.worker_identity} (attempt ${partition.attempt})`);
+        if (partition.outcome === 'failed') {
+            console.log(`     ❌ ${partition.error_type}: ${partition.error_message}`);
+        } else {
+            console.log(`     💼 ${partition.wallets_processed ?? '-'} wallets, ${partition.events_found ?? '-'} with events: ${formatEventCounts(partition.event_counts)}`);
+        }
+    });
+
+    return auditRun;
+}
+
+/**
+ * Print how many runs there were since the given time, how they ended and how long they took
+ */
+async function showRunStats(since) {
+    const stats = await withDatabase(db => getRunStats(db, since));
+
+    console.log(`📊 Audit runs since ${stats.since}`);
+    console.log(`📅 Outcomes: ${stats.outcomes.map(row => `${row.outcome} ${row.runs}`).join(', ') || 'no runs'}`);
+    console.log(`⏱️  Duration of ${stats.runs} finished runs: avg ${formatDuration(stats.avgDurationMs)}, median ${formatDuration(stats.medianDurationMs)}, p95 ${formatDuration(stats.p95DurationMs)}, min ${formatDuration(stats.minDurationMs)}, max ${formatDuration(stats.maxDurationMs)}`);
+    console.log(`💼 Wallets per run: ${stats.avgWalletsProcessed === null ? '-' : Math.round(stats.avgWalletsProcessed)}`);
+    console.log(`🆕 Events found: ${stats.eventsFound ?? 0}, new: ${stats.newEvents ?? 0}`);
+    console.log(`❌ Failed partitions: ${stats.failedPartitions ?? 0}`);
+
+    return stats;
+}
+
+/**
+ * Events an audit run stored, for the latest run of the workflow id unless runId is given
+ */
+async function loadRunEvents(workflowId, runId = null) {
+    return withDatabase(db => getRunEvents(db, workflowId, runId));
+}
+
+/**
+ * Print the events an audit run stored, for the latest run of the workflow id unless runId is given
+ */
+async function showRunEvents(workflowId, runId = null, asJson = false) {
+    const stored = await loadRunEvents(workflowId, runId);
+
+    if (asJson) {
+        console.log(JSON.stringify(stored, null, 2));
+        return stored;
+    }
+
+    if (!stored.runId) {
+        console.log(`📭 No events stored for workflow ${workflowId}`);
+        return stored;
+    }
+
+    console.log(`📋 Workflow ID: ${stored.workflowId}`);
+    console.log(`🆔 Run ID: ${stored.runId}`);
+    console.log(`📊 Wallets with events: ${stored.events.length}`);
+    console.log('');
+    stored.events.forEach(event => {
+        console.log(`  💳 ${event.wallet_name}: [${event.events.join(', ')}] (partition ${event.partition_id})`);
+    });
+
+    return stored;
+}
+
+// Allow running from command line
+if (require.main === module) {
+    const command = process.argv[2];
+    const args = process.argv.slice(3);
+
+    function getOption(name) {
+        const index = args.indexOf(name);
+        return index === -1 ? null : args[index + 1];
+    }
+
+    async function main() {
+        try {
+            switch (command) {
+                case 'events': {
+                    const workflowId = args[0];
+                    if (!workflowId || workflowId.startsWith('--')) {
+                        console.error('❌ Please provide a workflow ID');
+                        console.error('Usage: node wallet-audit/client/audit-runs.js events <workflowId> [--run <runId>] [--json]');
+                        process.exit(1);
+                    }
+                    await showRunEvents(workflowId, getOption('--run'), args.includes('--json'));
+                    break;
+                }
+
+                case 'list':
+                    await showRunList({
+                        since: getOption('--since') ? parseSince(getOption('--since')) : null,
+                        limit: parseInt(getOption('--limit'), 10) || 20
+                    });
+                    break;
+
+                case 'show':
+                    if (!args[0] || args[0].startsWith('--')) {
+                        console.error('❌ Please provide a workflow ID or run ID');
+                        console.error('Usage: node wallet-audit/client/audit-runs.js show <id>');
+                        process.exit(1);
+                    }
+                    if (!await showRun(args[0])) {
+                        process.exit(1);
+                    }
+                    break;
+
+                case 'stats':
+                    await showRunStats(parseSince(getOption('--since') || '7d'));
+                    break;
+
+                default:
+                    console.log('🗄️  Wallet Audit Runs');
+                    console.log('====================');
+                    console.log('');
+                    console.log('Usage:');
+                    console.log('  node wallet-audit/client/audit-runs.js events <workflowId>                (events found by the latest run)');
+                    console.log('  node wallet-audit/client/audit-runs.js events <workflowId> --run <runId>  (events found by a given run)');
+                    console.log('  node wallet-audit/client/audit-runs.js events <workflowId> --json         (print as JSON)');
+                    console.log('  node wallet-audit/client/audit-runs.js list [--since 7d] [--limit 20]     (most recent runs)');
+                    console.log('  node wallet-audit/client/audit-runs.js show <id>                          (a run and its partitions, by workflow or run ID)');
+                    console.log('  node wallet-audit/client/audit-runs.js stats [--since 7d]                 (outcomes and durations, default last 7 days)');
+                    console.log('');
+                    console.log('Or use npm scripts:');
+                    console.log('  npm run runs:events <workflowId>');
+                    console.log('  npm run runs:list');
+                    console.log('  npm run runs:show <id>');
+                    console.log('  npm run runs:stats -- --since 2025-06-16');
+            }
+        } catch (error) {
+            console.error('❌ Error:', error);
+            process.exit(1);
+        }
+    }
+
+    main();
+}
+
+module.exports = {
+    loadRunEvents,
+    showRunEvents,
+    showRunList,
+    showRun,
+    showRunStats,
+    parseSince
+};
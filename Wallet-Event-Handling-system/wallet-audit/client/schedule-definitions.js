@@ -0,0 +1,226 @@
+const fs = require('fs');
+const path = require('path');
+const { getConditionProblems, getConditionColumns, getEventTypes } = require('../services/audit-rules');
+const { getMissingWalletColumns } = require('../database/wallet-db');
+
+const DEFAULT_SCHEDULES_PATH = path.join(__dirname, '../config/schedules.json');
+
+// Schedules created from the definitions carry this memo, so apply only deletes its own schedules
+const MANAGED_BY = 'wallet-audit';
+
+const OVERLAP_POLICIES = ['SKIP', 'BUFFER_ONE', 'BUFFER_ALL', 'CANCEL_OTHER', 'TERMINATE_OTHER', 'ALLOW_ALL'];
+const SCHEDULE_ID = /^[A-Za-z0-9][A-Za-z0-9_.-]*$/;
+
+/**
+ * Named audit schedules, read from config/schedules.json (or SCHEDULES_PATH):
+ *
+ *   segments:  name -> { description, condition }, wallets a schedule can be limited to
+ *              (condition as in the audit rules)
+ *   ruleSets:  name -> event types, rules a schedule can be limited to
+ *   schedules: id -> { description, cron | calendars | intervals, timezone, jitter, startAt, endAt,
+ *              workers, segment, ruleSet, options, overlap, catchupWindow, paused }
+ *
+ * options are further processAllWallets options, such as scanMode or cohorts.
+ */
+function loadScheduleDefinitions(schedulesPath = process.env.SCHEDULES_PATH || DEFAULT_SCHEDULES_PATH) {
+    const config = JSON.parse(fs.readFileSync(schedulesPath, 'utf8'));
+
+    const problems = validateScheduleDefinitions(config);
+    if (problems.length > 0) {
+        throw new Error(`Invalid schedule definitions in ${schedulesPath}:\n  - ${problems.join('\n  - ')}`);
+    }
+
+    return {
+        segments: config.segments || {},
+        ruleSets: config.ruleSets || {},
+        schedules: config.schedules
+    };
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isDate(value) {
+    return typeof value === 'string' && !isNaN(new Date(value).getTime());
+}
+
+/**
+ * Problems with a schedules config, empty when it is valid
+ */
+function validateScheduleDefinitions(config) {
+    if (!isObject(config) || !isObject(config.schedules) || Object.keys(config.schedules).length === 0) {
+        return ['"schedules" must map schedule ids to definitions'];
+    }
+
+    const problems = [];
+    const segments = config.segments || {};
+    const ruleSets = config.ruleSets || {};
+
+    Object.entries(segments).forEach(([name, segment]) => {
+        if (!isObject(segment) || segment.condition === undefined) {
+            problems.push(`segment ${name}: "condition" is required`);
+        } else {
+            problems.push(...getConditionProblems(segment.condition, `segment ${name}: condition`));
+        }
+    });
+
+    const eventTypes = getEventTypes();
+    Object.entries(ruleSets).forEach(([name, ruleSet]) => {
+        if (!Array.isArray(ruleSet) || ruleSet.length === 0) {
+            problems.push(`rule set ${name}: must be a non-empty array of event types`);
+            return;
+        }
+        ruleSet.filter(eventType => !eventTypes.includes(eventType)).forEach(eventType => {
+            problems.push(`rule set ${name}: no audit rule for ${eventType}`);
+        });
+    });
+
+    Object.entries(config.schedules).forEach(([id, schedule]) => {
+        const where = `schedule ${id}`;
+        if (!SCHEDULE_ID.test(id)) {
+            problems.push(`${where}: id may only use letters, digits, "-", "_" and "."`);
+        }
+        if (!isObject(schedule)) {
+            problems.push(`${where}: must be an object`);
+            return;
+        }
+
+        const specs = ['cron', 'calendars', 'intervals'].filter(kind => schedule[kind] !== undefined);
+        if (specs.length === 0) {
+            problems.push(`${where}: needs cron, calendars or intervals`);
+        }
+        specs.filter(kind => !Array.isArray(schedule[kind]) || schedule[kind].length === 0).forEach(kind => {
+            problems.push(`${where}: "${kind}" must be a non-empty array`);
+        });
+        if (Array.isArray(schedule.cron) && schedule.cron.some(expression => typeof expression !== 'string')) {
+            problems.push(`${where}: "cron" must list cron expressions`);
+        }
+        if (Array.isArray(schedule.calendars) && !schedule.calendars.every(isObject)) {
+            problems.push(`${where}: "calendars" must list calendar specs`);
+        }
+        if (Array.isArray(schedule.intervals) && !schedule.intervals.every(interval => isObject(interval) && interval.every)) {
+            problems.push(`${where}: every interval needs "every"`);
+        }
+
+        ['timezone', 'jitter', 'catchupWindow', 'description'].forEach(field => {
+            if (schedule[field] !== undefined && typeof schedule[field] !== 'string') {
+                problems.push(`${where}: "${field}" must be a string`);
+            }
+        });
+        ['startAt', 'endAt'].forEach(field => {
+            if (schedule[field] !== undefined && !isDate(schedule[field])) {
+                problems.push(`${where}: "${field}" must be an ISO date`);
+            }
+        });
+        if (isDate(schedule.startAt) && isDate(schedule.endAt) && new Date(schedule.endAt) <= new Date(schedule.startAt)) {
+            problems.push(`${where}: "endAt" must be after "startAt"`);
+        }
+
+        if (!Number.isInteger(schedule.workers) || schedule.workers < 1) {
+            problems.push(`${where}: "workers" must be a positive integer`);
+        }
+        if (schedule.overlap !== undefined && !OVERLAP_POLICIES.includes(schedule.overlap)) {
+            problems.push(`${where}: "overlap" must be one of ${OVERLAP_POLICIES.join(', ')}`);
+        }
+        if (schedule.paused !== undefined && typeof schedule.paused !== 'boolean') {
+            problems.push(`${where}: "paused" must be true or false`);
+        }
+        if (schedule.segment !== undefined && !segments[schedule.segment]) {
+            problems.push(`${where}: unknown segment ${schedule.segment}`);
+        }
+        if (schedule.ruleSet !== undefined && !ruleSets[schedule.ruleSet]) {
+            problems.push(`${where}: unknown rule set ${schedule.ruleSet}`);
+        }
+        if (schedule.options !== undefined) {
+            if (!isObject(schedule.options)) {
+                problems.push(`${where}: "options" must be an object`);
+            } else {
+                ['segment', 'ruleSet', 'dryRun'].filter(option => option in schedule.options).forEach(option => {
+                    problems.push(`${where}: "${option}" is not a schedule option`);
+                });
+                const { cohorts } = schedule.options;
+                if (cohorts !== undefined && (!Number.isInteger(cohorts) || cohorts < 1)) {
+                    problems.push(`${where}: "cohorts" must be a positive integer`);
+                }
+            }
+        }
+    });
+
+    return problems;
+}
+
+/**
+ * Problems with segment conditions that compare columns the wallets table does not have, empty
+ * when every segment fits the database
+ */
+async function getSegmentColumnProblems(db, definitions) {
+    const problems = [];
+    for (const [name, segment] of Object.entries(definitions.segments)) {
+        const missing = await getMissingWalletColumns(db, getConditionColumns(segment.condition));
+        if (missing.length > 0) {
+            problems.push(`segment ${name}: uses columns the wallets table does not have: ${missing.join(', ')}`);
+        }
+    }
+    return problems;
+}
+
+/**
+ * Temporal schedule options for a definition; the workflow arguments carry the resolved segment
+ * and rule set, so runs do not depend on the file. workers overrides the definition's.
+ */
+function buildScheduleOptions(scheduleId, definitions, { workflowType, workers = null }) {
+    const schedule = definitions.schedules[scheduleId];
+    if (!schedule) {
+        throw new Error(`Schedule ${scheduleId} is not defined in the schedule definitions`);
+    }
+
+    const workerCount = workers ?? schedule.workers;
+    const workflowOptions = {
+        ...(schedule.options || {}),
+        ...(schedule.segment && {
+            segment: { name: schedule.segment, condition: definitions.segments[schedule.segment].condition }
+        }),
+        ...(schedule.ruleSet && {
+            ruleSet: { name: schedule.ruleSet, eventTypes: definitions.ruleSets[schedule.ruleSet] }
+        })
+    };
+
+    return {
+        scheduleId,
+        spec: {
+            ...(schedule.cron && { cronExpressions: schedule.cron }),
+            ...(schedule.calendars && { calendars: schedule.calendars }),
+            ...(schedule.intervals && { intervals: schedule.intervals }),
+            ...(schedule.timezone && { timezone: schedule.timezone }),
+            ...(schedule.jitter && { jitter: schedule.jitter }),
+            ...(schedule.startAt && { startAt: new Date(schedule.startAt) }),
+            ...(schedule.endAt && { endAt: new Date(schedule.endAt) })
+        },
+        action: {
+            type: 'startWorkflow',
+            workflowType,
+            workflowId: scheduleId,
+            taskQueue: 'wallet-processing',
+            args: [workerCount, workflowOptions],
+            memo: { workerCount }
+        },
+        policies: {
+            overlap: schedule.overlap || 'SKIP', // Skip if previous run is still executing
+            catchupWindow: schedule.catchupWindow || '1 minute'
+        },
+        state: {
+            paused: schedule.paused === true,
+            note: schedule.description || ''
+        },
+        memo: { managedBy: MANAGED_BY }
+    };
+}
+
+module.exports = {
+    MANAGED_BY,
+    loadScheduleDefinitions,
+    validateScheduleDefinitions,
+    getSegmentColumnProblems,
+    buildScheduleOptions
+};
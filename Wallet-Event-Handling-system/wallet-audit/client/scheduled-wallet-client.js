@@ -1,19 +1,75 @@
-const { Client } = require('@temporalio/client');
-const { processAllWallets } = require('../workflows/wallet-workflow');
+const { Client, ScheduleNotFoundError } = require('@temporalio/client');
+const { processAllWallets, progressQuery, cancelSignal, pauseSignal, resumeSignal } = require('../workflows/wallet-workflow');
 const { TemporalWorkerManager } = require('../scripts/temporal-worker-manager');
+const {
+    MANAGED_BY, loadScheduleDefinitions, getSegmentColumnProblems, buildScheduleOptions
+} = require('./schedule-definitions');
+const { loadRunEvents } = require('./audit-runs');
+const { openDatabase, closeDatabase } = require('../database/wallet-db');
+const { getEventPriority } = require('../services/audit-rules');
 
+const DEFAULT_SCHEDULE_ID = 'wallet-audit-schedule';
+const DEFAULT_WORKER_COUNT = 4;
+
+/**
+ * Manages an audit schedule (by default wallet-audit-schedule) and the workers. Every CLI
+ * invocation is a new instance, so the scheduler state is read back from the Temporal schedule
+ * (see loadState) rather than kept here. Schedules are defined in config/schedules.json.
+ */
 class ScheduledWalletClient {
-    constructor() {
+    constructor(scheduleId = DEFAULT_SCHEDULE_ID) {
         this.client = new Client();
         this.workerManager = new TemporalWorkerManager();
-        this.scheduleId = 'wallet-audit-schedule';
-        this.currentWorkerCount = 4; // Default worker count
+        this.scheduleId = scheduleId;
+        this.currentWorkerCount = DEFAULT_WORKER_COUNT;
         this.isRunning = false;
     }
 
+    /**
+     * Read the scheduler state from the schedule: it is running while the schedule exists, and
+     * the worker count is the first argument of the workflows it starts (also kept in their memo).
+     * Returns the schedule description, or null when there is no schedule.
+     */
+    async loadState() {
+        try {
+            const description = await this.client.schedule.getHandle(this.scheduleId).describe();
+            const action = description.action || {};
+
+            this.isRunning = true;
+            this.currentWorkerCount = action.args?.[0] ?? action.memo?.workerCount ?? DEFAULT_WORKER_COUNT;
+            return description;
+
+        } catch (error) {
+            if (!(error instanceof ScheduleNotFoundError)) throw error;
+
+            this.isRunning = false;
+            this.currentWorkerCount = DEFAULT_WORKER_COUNT;
+            return null;
+        }
+    }
+
+    /**
+     * Load the state and fail unless the schedule exists
+     */
+    async requireRunning() {
+        const description = await this.loadState();
+        if (!description) {
+            throw new Error('Scheduler is not running. Start it first with npm run scheduler:start');
+        }
+        return description;
+    }
+
     async startScheduledAudit() {
+        // An existing schedule keeps its worker count, a new one starts with its definition's
+        const definitions = loadScheduleDefinitions();
+        if (await this.loadState()) {
+            console.log(`📅 Schedule ${this.scheduleId} already exists with ${this.currentWorkerCount} workers`);
+        } else if (definitions.schedules[this.scheduleId]) {
+            this.currentWorkerCount = definitions.schedules[this.scheduleId].workers;
+        }
+
         console.log('🚀 Starting scheduled wallet audit system');
-        console.log(`⏰ Schedule: Every 3 minutes`);
+        console.log(`⏰ Schedule: ${definitions.schedules[this.scheduleId]?.description || this.scheduleId}`);
         console.log(`👥 Initial workers: ${this.currentWorkerCount}`);
         console.log(`🆔 Schedule ID: ${this.scheduleId}`);
         console.log('');
@@ -25,7 +81,7 @@ class ScheduledWalletClient {
             console.log('');
 
             // Create the schedule
-            await this.createSchedule();
+            await this.createSchedule(definitions);
             
             this.isRunning = true;
             console.log('✅ Scheduled wallet audit system started successfully!');
@@ -45,31 +101,14 @@ class ScheduledWalletClient {
         }
     }
 
-    async createSchedule() {
+    async createSchedule(definitions = loadScheduleDefinitions()) {
         console.log('📅 Creating Temporal schedule...');
         
         try {
-            const handle = await this.client.schedule.create({
-                scheduleId: this.scheduleId,
-                policies: {
-                    catchupWindow: '1 minute',
-                    overlap: 'SKIP', // Skip if previous run is still executing
-                },
-                spec: {
-                    intervals: [
-                        {
-                            every: '3 minutes',
-                        },
-                    ],
-                },
-                action: {
-                    type: 'startWorkflow',
-                    workflowType: processAllWallets,
-                    workflowId: `wallet-audit-${Date.now()}`,
-                    taskQueue: 'wallet-processing',
-                    args: [this.currentWorkerCount],
-                },
-            });
+            await this.client.schedule.create(buildScheduleOptions(this.scheduleId, definitions, {
+                workflowType: processAllWallets,
+                workers: this.currentWorkerCount
+            }));
 
             console.log('✅ Schedule created successfully');
             
@@ -89,29 +128,15 @@ class ScheduledWalletClient {
         try {
             const handle = this.client.schedule.getHandle(this.scheduleId);
             
-            await handle.update((input) => {
-                // We need to return the complete schedule structure
-                return {
-                    spec: {
-                        intervals: [
-                            {
-                                every: 3 * 60 * 1000 // 3 minutes in milliseconds
-                            }
-                        ]
-                    },
-                    action: {
-                        type: 'startWorkflow',
-                        workflowType: processAllWallets,
-                        workflowId: `wallet-audit-${Date.now()}`,
-                        taskQueue: 'wallet-processing',
-                        args: [this.currentWorkerCount],
-                    },
-                    policies: {
-                        overlap: 'SKIP',
-                        catchupWindow: 60 * 1000 // 1 minute in milliseconds
-                    }
-                };
-            });
+            // Keep the spec, policies and pause state; only the worker count changes
+            await handle.update((previous) => ({
+                ...previous,
+                action: {
+                    ...previous.action,
+                    args: [this.currentWorkerCount, ...(previous.action.args || []).slice(1)],
+                    memo: { ...previous.action.memo, workerCount: this.currentWorkerCount },
+                },
+            }));
 
             console.log('✅ Schedule updated successfully');
             
@@ -121,11 +146,95 @@ class ScheduledWalletClient {
         }
     }
 
-    async scaleWorkers(newWorkerCount) {
-        if (!this.isRunning) {
-            throw new Error('Scheduler is not running. Start it first with npm run scheduler:start');
+    /**
+     * Ids of all schedules, and of those created from the schedule definitions
+     */
+    async getScheduleIds() {
+        const existing = new Set();
+        const managed = new Set();
+        for await (const schedule of this.client.schedule.list()) {
+            existing.add(schedule.scheduleId);
+            if (schedule.memo?.managedBy === MANAGED_BY) {
+                managed.add(schedule.scheduleId);
+            }
+        }
+        return { existing, managed };
+    }
+
+    /**
+     * Reconcile Temporal with the schedule definitions: create the schedules that do not exist,
+     * update the others to their definition, and delete the schedules created from an earlier
+     * version of the file that it no longer defines. A definition without "paused" keeps the
+     * schedule's pause state. With dryRun only the planned changes are printed.
+     * Nothing is changed when a segment compares a column the wallets table does not have.
+     */
+    async applySchedules({ dryRun = false } = {}) {
+        const definitions = loadScheduleDefinitions();
+        const db = await openDatabase();
+        let problems;
+        try {
+            problems = await getSegmentColumnProblems(db, definitions);
+        } finally {
+            await closeDatabase(db);
+        }
+        if (problems.length > 0) {
+            throw new Error(`Schedule definitions do not match the wallet database:\n  - ${problems.join('\n  - ')}`);
+        }
+        const { existing, managed } = await this.getScheduleIds();
+
+        const plan = [
+            ...Object.keys(definitions.schedules).map(scheduleId => ({
+                scheduleId,
+                change: existing.has(scheduleId) ? 'update' : 'create'
+            })),
+            ...[...managed]
+                .filter(scheduleId => !definitions.schedules[scheduleId])
+                .map(scheduleId => ({ scheduleId, change: 'delete' }))
+        ];
+        const icons = { create: '➕', update: '🔄', delete: '🗑️ ' };
+
+        console.log(`📅 ${dryRun ? 'Planned schedule changes' : 'Applying schedule definitions'}:`);
+        for (const { scheduleId, change } of plan) {
+            const definition = definitions.schedules[scheduleId];
+            console.log(`  ${icons[change]} ${change} ${scheduleId}${definition ? ` - ${definition.description || ''} (${definition.workers} workers)` : ''}`);
+            if (dryRun) continue;
+
+            try {
+                const handle = this.client.schedule.getHandle(scheduleId);
+                if (change === 'delete') {
+                    await handle.delete();
+                    continue;
+                }
+
+                const options = buildScheduleOptions(scheduleId, definitions, { workflowType: processAllWallets });
+                if (change === 'create') {
+                    await this.client.schedule.create(options);
+                } else {
+                    await handle.update((previous) => ({
+                        ...previous,
+                        spec: options.spec,
+                        action: options.action,
+                        policies: options.policies,
+                        state: {
+                            ...previous.state,
+                            note: options.state.note,
+                            ...(definition.paused !== undefined && { paused: definition.paused }),
+                        },
+                    }));
+                }
+            } catch (error) {
+                console.error(`❌ Failed to ${change} schedule ${scheduleId}:`, error);
+                throw error;
+            }
         }
 
+        console.log(dryRun ? '🧪 Nothing was changed' : `✅ ${plan.length} schedules applied`);
+        return plan;
+    }
+
+    async scaleWorkers(newWorkerCount) {
+        await this.requireRunning();
+
         console.log(`📈 Scaling workers from ${this.currentWorkerCount} to ${newWorkerCount}...`);
         
         try {
@@ -149,8 +258,7 @@ class ScheduledWalletClient {
 
     async getScheduleStatus() {
         try {
-            const handle = this.client.schedule.getHandle(this.scheduleId);
-            const description = await handle.describe();
+            const description = await this.requireRunning();
 
             // Debug: log the full description object
             console.log('DEBUG: Full schedule description:', JSON.stringify(description, null, 2));
@@ -160,7 +268,7 @@ class ScheduledWalletClient {
             console.log(`🆔 Schedule ID: ${description.scheduleId || this.scheduleId}`);
             console.log(`📅 State: ${description.state?.paused ? 'PAUSED' : 'ACTIVE'}`);
             console.log(`⏰ Next Run: ${description.info?.nextActionTimes?.[0] || 'Not scheduled'}`);
-            console.log(`👥 Current Workers: ${this.currentWorkerCount}`);
+            console.log(`👥 Scheduled Workers: ${this.currentWorkerCount}`);
             console.log(`🔄 Overlap Policy: ${description.policies?.overlap || 'SKIP'}`);
             console.log(`⏱️  Catchup Window: ${description.policies?.catchupWindow || '1 minute'}`);
 
@@ -180,6 +288,7 @@ class ScheduledWalletClient {
         console.log('⏸️  Pausing schedule...');
         
         try {
+            await this.requireRunning();
             const handle = this.client.schedule.getHandle(this.scheduleId);
             await handle.pause('Paused by user');
             console.log('✅ Schedule paused successfully');
@@ -194,6 +303,7 @@ class ScheduledWalletClient {
         console.log('▶️  Resuming schedule...');
         
         try {
+            await this.requireRunning();
             const handle = this.client.schedule.getHandle(this.scheduleId);
             await handle.unpause();
             console.log('✅ Schedule resumed successfully');
@@ -208,6 +318,7 @@ class ScheduledWalletClient {
         console.log('🚀 Triggering immediate workflow run...');
         
         try {
+            await this.requireRunning();
             const handle = this.client.schedule.getHandle(this.scheduleId);
             await handle.trigger();
             console.log('✅ Immediate run triggered successfully');
@@ -218,18 +329,130 @@ class ScheduledWalletClient {
         }
     }
 
+    /**
+     * Run a one-off dry run of the audit and print, per partition, the events the next real run
+     * would queue. Nothing is queued or recorded; the run stores the events it would queue, which
+     * are read back like runs:events. The workers must be running.
+     */
+    async runDryRun({ numWorkers = null, scanMode, asJson = false } = {}) {
+        // Run with the worker count and options (segment, rule set, ...) of the schedule
+        const description = await this.loadState();
+        const scheduledOptions = description?.action?.args?.[1] || {};
+        numWorkers = numWorkers ?? this.currentWorkerCount;
+        const workflowId = `wallet-audit-dry-run-${Date.now()}`;
+        if (!asJson) {
+            console.log(`🧪 Starting dry run ${workflowId} with ${numWorkers} workers...`);
+        }
+        
+        try {
+            const handle = await this.client.workflow.start(processAllWallets, {
+                workflowId,
+                taskQueue: 'wallet-processing',
+                args: [numWorkers, { ...scheduledOptions, dryRun: true, ...(scanMode && { scanMode }) }],
+            });
+            const summary = await handle.result();
+            const stored = await loadRunEvents(workflowId, summary.resultsRef.runId);
+            const wouldQueue = stored.events.map(event => ({
+                ...event,
+                priority: Math.max(...event.events.map(eventType => getEventPriority(eventType)))
+            }));
+            
+            if (asJson) {
+                console.log(JSON.stringify({ ...summary, wouldQueue }, null, 2));
+                return summary;
+            }
+            
+            console.log(`🔎 ${summary.scanMode} scan: ${summary.totalWalletsProcessed} of ${summary.totalWallets} wallets checked, ${summary.totalEventsFound} with events`);
+            console.log(`🆕 Would queue ${summary.totalNewEvents} new events (${summary.totalStillOpenEvents} still open, ${summary.totalResolvedEvents} would resolve)`);
+            summary.workerResults.forEach(result => {
+                const items = wouldQueue.filter(item => item.partition_id === result.partitionId);
+                console.log('');
+                console.log(`📦 Partition ${result.partitionId} ${result.range}: ${items.length} wallets would be queued`);
+                items.forEach(item => {
+                    console.log(`  💳 ${item.wallet_name}: [${item.events.join(', ')}] priority ${item.priority}`);
+                });
+            });
+            summary.failedPartitions.forEach(partition => {
+                console.log(`❌ Partition ${partition.partitionId} ${partition.label} failed: ${partition.error.type}: ${partition.error.message}`);
+            });
+            
+            return summary;
+            
+        } catch (error) {
+            console.error('❌ Dry run failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Show the live progress of an audit run, as reported by its progress query
+     */
+    async showRunProgress(workflowId) {
+        try {
+            const handle = this.client.workflow.getHandle(workflowId);
+            const progress = await handle.query(progressQuery);
+
+            console.log('📋 Audit Run Progress:');
+            console.log(`🆔 Workflow ID: ${workflowId}`);
+            console.log(`📅 State: ${progress.status.toUpperCase()}${progress.paused ? ' (launching paused)' : ''}${progress.cancelRequested ? ' (cancel requested)' : ''}`);
+            console.log(`💼 Wallets processed: ${progress.walletsProcessed} of ${progress.totalWallets}${progress.scanMode ? ` (${progress.scanMode} scan)` : ''}`);
+            console.log(`📊 Events found: ${progress.eventsFound}`);
+            console.log(`📦 Partitions: ${progress.counts.done} done, ${progress.counts.running} running, ${progress.counts.pending} pending, ${progress.counts.failed} failed, ${progress.counts.cancelled} cancelled`);
+
+            progress.partitions.forEach(partition => {
+                const details = partition.status === 'done'
+                    ? ` - ${partition.walletsProcessed} wallets, ${partition.eventsFound} events`
+                    : partition.error ? ` - ${partition.error.type}: ${partition.error.message} (${partition.error.retryState})` : '';
+                console.log(`  ${partition.partitionId}. ${partition.label} [${partition.status}]${details}`);
+            });
+
+            return progress;
+
+        } catch (error) {
+            console.error('❌ Failed to query run progress:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Pause or resume launching new partitions of an audit run, or cancel the partitions not yet launched
+     */
+    async signalRun(workflowId, action) {
+        const signals = { cancel: cancelSignal, pause: pauseSignal, resume: resumeSignal };
+
+        try {
+            const handle = this.client.workflow.getHandle(workflowId);
+            await handle.signal(signals[action]);
+            console.log(`✅ Sent ${action} to audit run ${workflowId}`);
+
+        } catch (error) {
+            console.error(`❌ Failed to ${action} audit run:`, error);
+            throw error;
+        }
+    }
+
     async stopScheduledAudit() {
         console.log('🛑 Stopping scheduled wallet audit system...');
         
         try {
-            // Delete the schedule
-            const handle = this.client.schedule.getHandle(this.scheduleId);
-            await handle.delete();
-            console.log('✅ Schedule deleted successfully');
+            // Delete the schedule; workers left from an earlier schedule are stopped either way
+            if (await this.loadState()) {
+                const handle = this.client.schedule.getHandle(this.scheduleId);
+                await handle.delete();
+                console.log('✅ Schedule deleted successfully');
+            } else {
+                console.log(`📭 Schedule ${this.scheduleId} does not exist`);
+            }
             
-            // Stop all workers
-            await this.workerManager.stopAllWorkers();
-            console.log('✅ All workers stopped successfully');
+            // The workers serve every audit schedule, so they keep running while another one exists
+            const { managed } = await this.getScheduleIds();
+            managed.delete(this.scheduleId);
+            if (managed.size > 0) {
+                console.log(`👥 Workers keep running for ${[...managed].join(', ')}`);
+            } else {
+                await this.workerManager.stopAllWorkers();
+                console.log('✅ All workers stopped successfully');
+            }
             
             this.isRunning = false;
             console.log('✅ Scheduled wallet audit system stopped');
@@ -267,8 +490,23 @@ module.exports = { ScheduledWalletClient };
 if (require.main === module) {
     const command = process.argv[2];
     const arg = process.argv[3];
+    const args = process.argv.slice(3);
+    
+    function getOption(name) {
+        const index = args.indexOf(name);
+        return index === -1 ? null : args[index + 1];
+    }
+    
+    function getDryRunOptions() {
+        const workers = getOption('--workers');
+        return {
+            ...(workers && { numWorkers: parseInt(workers, 10) }),
+            scanMode: getOption('--scan'),
+            asJson: args.includes('--json')
+        };
+    }
     
-    const scheduler = new ScheduledWalletClient();
+    const scheduler = new ScheduledWalletClient(getOption('--schedule') || undefined);
     
     async function main() {
         try {
@@ -300,7 +538,19 @@ if (require.main === module) {
                     break;
                     
                 case 'trigger':
-                    await scheduler.triggerImmediateRun();
+                    if (args.includes('--dry-run')) {
+                        await scheduler.runDryRun(getDryRunOptions());
+                    } else {
+                        await scheduler.triggerImmediateRun();
+                    }
+                    break;
+                    
+                case 'dry-run':
+                    await scheduler.runDryRun(getDryRunOptions());
+                    break;
+                    
+                case 'apply':
+                    await scheduler.applySchedules({ dryRun: args.includes('--dry-run') });
                     break;
                     
                 case 'stop':
@@ -311,6 +561,22 @@ if (require.main === module) {
                     await scheduler.listSchedules();
                     break;
                     
+                case 'progress':
+                case 'cancel-run':
+                case 'pause-run':
+                case 'resume-run':
+                    if (!arg) {
+                        console.error('❌ Please provide the workflow ID of an audit run');
+                        console.error(`Usage: node client/scheduled-wallet-client.js ${command} <workflowId>`);
+                        process.exit(1);
+                    }
+                    if (command === 'progress') {
+                        await scheduler.showRunProgress(arg);
+                    } else {
+                        await scheduler.signalRun(arg, command.replace('-run', ''));
+                    }
+                    break;
+                    
                 default:
                     console.error('❌ Invalid command');
                     console.error('Usage: node client/scheduled-wallet-client.js <command> [args]');
@@ -321,12 +587,23 @@ if (require.main === module) {
                     console.error('  pause                    - Pause schedule');
                     console.error('  resume                   - Resume schedule');
                     console.error('  trigger                  - Trigger immediate run');
+                    console.error('  trigger --dry-run        - Show what a run would queue, without queueing');
+                    console.error('  dry-run [--workers N] [--scan full|incremental] [--json]');
+                    console.error('                           - Same, as a one-off run');
                     console.error('  stop                     - Stop schedule and workers');
                     console.error('  list                     - List all schedules');
+                    console.error('  apply [--dry-run]        - Create, update and delete schedules to match config/schedules.json');
+                    console.error('  progress <workflowId>    - Show progress of an audit run');
+                    console.error('  pause-run <workflowId>   - Stop launching new partitions of a run');
+                    console.error('  resume-run <workflowId>  - Resume launching partitions of a run');
+                    console.error('  cancel-run <workflowId>  - Launch no more partitions, let running ones finish');
+                    console.error('Schedule commands (start, scale, status, pause, resume, trigger, stop, dry-run) take');
+                    console.error('  --schedule <id> for a schedule other than wallet-audit-schedule');
                     console.error('Examples:');
                     console.error('  node client/scheduled-wallet-client.js start');
                     console.error('  node client/scheduled-wallet-client.js scale 8');
                     console.error('  node client/scheduled-wallet-client.js status');
+                    console.error('  node client/scheduled-wallet-client.js pause --schedule wallet-audit-nightly');
                     process.exit(1);
             }
         } catch (error) {
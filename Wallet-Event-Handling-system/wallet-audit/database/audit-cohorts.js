@@ -0,0 +1,157 @@
+const { run, get, all, exec } = require('./wallet-db');
+
+/**
+ * Cohorts split the wallets into N groups that runs audit in rotation, one cohort per run.
+ * Every wallet gets a hash of its name as cohort_key, and its cohort of N is cohort_key % N:
+ * it depends on nothing but the name, so adding wallets moves no wallet to another cohort.
+ * The cohort a rotation audits next is kept in audit_meta, so it survives restarts.
+ */
+
+// Runs that did not complete scan their cohort again this many times before the rotation moves on
+// anyway, so a partition that keeps failing does not hold up the other cohorts
+const COHORT_MAX_REPEATS = Number.isNaN(parseInt(process.env.COHORT_MAX_REPEATS, 10))
+    ? 1
+    : parseInt(process.env.COHORT_MAX_REPEATS, 10);
+
+/**
+ * 32-bit FNV-1a hash of the wallet name's UTF-8 bytes
+ */
+function getCohortKey(walletName) {
+    let hash = 0x811c9dc5;
+    for (const byte of Buffer.from(walletName, 'utf8')) {
+        hash ^= byte;
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Give the wallets added since the last call their cohort_key, in a single transaction.
+ * The change_seq trigger ignores cohort_key writes, so this does not make wallets look changed.
+ */
+async function assignCohortKeys(db) {
+    const wallets = await all(db, 'SELECT wallet_name FROM wallets WHERE cohort_key IS NULL');
+    if (wallets.length === 0) return 0;
+
+    await exec(db, 'BEGIN IMMEDIATE');
+
+    try {
+        for (const wallet of wallets) {
+            await run(
+                db,
+                'UPDATE wallets SET cohort_key = ? WHERE wallet_name = ? AND cohort_key IS NULL',
+                [getCohortKey(wallet.wallet_name), wallet.wallet_name]
+            );
+        }
+
+        await exec(db, 'COMMIT');
+    } catch (error) {
+        await exec(db, 'ROLLBACK');
+        throw error;
+    }
+
+    return wallets.length;
+}
+
+/**
+ * Wallets without a cohort_key yet; only assignCohortKeys gives them one
+ */
+async function countUnassignedWallets(db) {
+    const row = await get(db, 'SELECT COUNT(*) AS unassigned FROM wallets WHERE cohort_key IS NULL');
+    return row.unassigned;
+}
+
+/**
+ * The cohort a rotation audits next, as { index, count, key }. A rotation is the scope of its
+ * runs (null for all wallets with all rules) with its cohort count; it starts at cohort 0.
+ * Only reads, so a dry run can plan its cohort too.
+ */
+async function getNextCohort(db, { rotation = null, count }) {
+    return readCohort(db, `cohort_rotation:${rotation || 'all'}:${count}`, count);
+}
+
+async function readCohort(db, key, count) {
+    const row = await get(db, 'SELECT CAST(value AS INTEGER) AS next FROM audit_meta WHERE key = ?', [key]);
+    return { index: (row ? row.next : 0) % count, count, key };
+}
+
+/**
+ * Move a rotation past the given cohort. Only moves it when it still points at that cohort,
+ * so a retried call or an overlapping run of the same cohort does not skip one.
+ * Returns the cohort audited next.
+ */
+async function advanceCohort(db, { index, count, key }) {
+    await run(db, "INSERT OR IGNORE INTO audit_meta (key, value) VALUES (?, '0')", [key]);
+    const moved = await run(
+        db,
+        'UPDATE audit_meta SET value = ? WHERE key = ? AND CAST(value AS INTEGER) = ?',
+        [String((index + 1) % count), key, index]
+    );
+    if (moved.changes > 0) {
+        await run(db, 'DELETE FROM audit_meta WHERE key = ?', [`${key}:repeats`]);
+    }
+
+    return readCohort(db, key, count);
+}
+
+/**
+ * Move a rotation on after run runId of its cohort ended with the given outcome. A completed run
+ * moves it; a partial or failed one scans the cohort again, up to COHORT_MAX_REPEATS times,
+ * and then moves it anyway. A cancelled run leaves it.
+ * The rotation keeps the last run it counted, so a retried call for the same run changes nothing
+ * and reports alreadyCounted. Returns { next, advanced, repeats, alreadyCounted }.
+ */
+async function finishCohortRun(db, cohort, outcome, runId) {
+    if (!['completed', 'partial', 'failed'].includes(outcome)) {
+        return { next: cohort, advanced: false, repeats: 0, alreadyCounted: false };
+    }
+
+    const repeatsKey = `${cohort.key}:repeats`;
+    const lastRunKey = `${cohort.key}:last_run`;
+
+    await exec(db, 'BEGIN IMMEDIATE');
+
+    try {
+        let result;
+        const lastRun = await get(db, 'SELECT value FROM audit_meta WHERE key = ?', [lastRunKey]);
+
+        if (lastRun && lastRun.value === runId) {
+            const next = await readCohort(db, cohort.key, cohort.count);
+            const row = await get(db, 'SELECT CAST(value AS INTEGER) AS repeats FROM audit_meta WHERE key = ?', [repeatsKey]);
+            result = { next, advanced: next.index !== cohort.index, repeats: row ? row.repeats : 0, alreadyCounted: true };
+        } else {
+            await run(db, 'INSERT OR REPLACE INTO audit_meta (key, value) VALUES (?, ?)', [lastRunKey, runId]);
+            result = { ...await countCohortRun(db, cohort, outcome, repeatsKey), alreadyCounted: false };
+        }
+
+        await exec(db, 'COMMIT');
+        return result;
+    } catch (error) {
+        await exec(db, 'ROLLBACK');
+        throw error;
+    }
+}
+
+async function countCohortRun(db, cohort, outcome, repeatsKey) {
+    if (outcome === 'completed') {
+        return { next: await advanceCohort(db, cohort), advanced: true, repeats: 0 };
+    }
+
+    await run(db, "INSERT OR IGNORE INTO audit_meta (key, value) VALUES (?, '0')", [repeatsKey]);
+    await run(db, 'UPDATE audit_meta SET value = CAST(value AS INTEGER) + 1 WHERE key = ?', [repeatsKey]);
+    const { repeats } = await get(db, 'SELECT CAST(value AS INTEGER) AS repeats FROM audit_meta WHERE key = ?', [repeatsKey]);
+
+    if (repeats <= COHORT_MAX_REPEATS) {
+        return { next: cohort, advanced: false, repeats };
+    }
+    return { next: await advanceCohort(db, cohort), advanced: true, repeats };
+}
+
+module.exports = {
+    getCohortKey,
+    assignCohortKeys,
+    countUnassignedWallets,
+    getNextCohort,
+    advanceCohort,
+    finishCohortRun
+};
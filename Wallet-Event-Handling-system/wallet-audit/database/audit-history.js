@@ -0,0 +1,223 @@
+const { run, get, all } = require('./wallet-db');
+
+/**
+ * History of audit runs and their partitions, so durations and outcomes can be queried
+ * without going through Temporal. Rows are keyed by the workflow run id.
+ */
+
+// Milliseconds between the row's started_at and the given ISO time
+const DURATION_SQL = 'CAST(ROUND((julianday(?) - julianday(started_at)) * 86400000) AS INTEGER)';
+
+async function recordRunStart(db, { workflowId, runId, numWorkers, totalWallets, totalPartitions, scan }) {
+    await run(
+        db,
+        `INSERT INTO audit_runs
+            (workflow_id, run_id, started_at, num_workers, total_wallets, total_partitions, outcome,
+             scan_mode, since_seq, high_water_mark, scope)
+         VALUES (?, ?, ?, ?, ?, ?, 'running', ?, ?, ?, ?)
+         ON CONFLICT(run_id) DO NOTHING`,
+        [
+            workflowId, runId, new Date().toISOString(), numWorkers, totalWallets, totalPartitions,
+            scan.mode, scan.sinceSeq, scan.highWaterMark, scan.scope
+        ]
+    );
+}
+
+/**
+ * What the next run of a scope builds on: the high-water mark of its last completed run and when
+ * its last completed full sweep started. Partial, failed and cancelled runs do not move either,
+ * and neither do runs of other scopes (null is all wallets with all rules).
+ */
+async function getScanBaseline(db, scope = null) {
+    const lastCompleted = await get(
+        db,
+        `SELECT high_water_mark FROM audit_runs
+         WHERE outcome = 'completed' AND high_water_mark IS NOT NULL AND scope IS ?
+         ORDER BY started_at DESC LIMIT 1`,
+        [scope]
+    );
+    const lastFullSweep = await get(
+        db,
+        `SELECT MAX(started_at) AS started_at FROM audit_runs
+         WHERE outcome = 'completed' AND scan_mode = 'full' AND scope IS ?`,
+        [scope]
+    );
+
+    return {
+        highWaterMark: lastCompleted ? lastCompleted.high_water_mark : null,
+        lastFullSweepAt: lastFullSweep ? lastFullSweep.started_at : null
+    };
+}
+
+/**
+ * Close a run with its summary (see processAllWallets). Partitions the workflow reports as failed
+ * are marked failed with their final error, also when their last attempt could not record it.
+ */
+async function recordRunFinish(db, { runId, outcome, summary }) {
+    const finishedAt = new Date().toISOString();
+
+    await run(
+        db,
+        `UPDATE audit_runs SET
+            finished_at = ?, duration_ms = ${DURATION_SQL}, outcome = ?,
+            wallets_processed = ?, events_found = ?, new_events = ?, still_open_events = ?, resolved_events = ?,
+            event_counts = ?, failed_partitions = ?
+         WHERE run_id = ?`,
+        [
+            finishedAt, finishedAt, outcome,
+            summary.totalWalletsProcessed, summary.totalEventsFound, summary.totalNewEvents,
+            summary.totalStillOpenEvents, summary.totalResolvedEvents,
+            JSON.stringify(summary.eventCounts || {}), summary.failedPartitions.length,
+            runId
+        ]
+    );
+
+    for (const partition of summary.failedPartitions) {
+        await run(
+            db,
+            `UPDATE audit_partitions SET
+                outcome = 'failed', error_type = ?, error_message = ?,
+                finished_at = COALESCE(finished_at, ?), duration_ms = COALESCE(duration_ms, ${DURATION_SQL})
+             WHERE run_id = ? AND partition_id = ?`,
+            [partition.error.type, partition.error.message, finishedAt, finishedAt, runId, partition.partitionId]
+        );
+    }
+}
+
+/**
+ * Mark a partition running. A retried or re-run partition keeps its first start time.
+ */
+async function recordPartitionStart(db, { workflowId, runId, partition, workerId, workerIdentity, attempt }) {
+    await run(
+        db,
+        `INSERT INTO audit_partitions
+            (run_id, partition_id, workflow_id, range_label, after_key, up_to_key, worker_id, worker_identity, attempt, started_at, outcome)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'running')
+         ON CONFLICT(run_id, partition_id) DO UPDATE SET
+            worker_identity = excluded.worker_identity, attempt = excluded.attempt, outcome = 'running',
+            finished_at = NULL, duration_ms = NULL, error_type = NULL, error_message = NULL`,
+        [
+            runId, partition.partitionId, workflowId, partition.label, partition.afterKey, partition.upToKey,
+            workerId, workerIdentity, attempt, new Date().toISOString()
+        ]
+    );
+}
+
+async function recordPartitionFinish(db, { runId, partitionId, totals, eventCounts }) {
+    const finishedAt = new Date().toISOString();
+    await run(
+        db,
+        `UPDATE audit_partitions SET
+            finished_at = ?, duration_ms = ${DURATION_SQL}, outcome = 'done',
+            wallets_processed = ?, events_found = ?, new_events = ?, still_open_events = ?, resolved_events = ?,
+            event_counts = ?
+         WHERE run_id = ? AND partition_id = ?`,
+        [
+            finishedAt, finishedAt,
+            totals.walletsProcessed, totals.eventsFound, totals.newEvents, totals.stillOpenEvents, totals.resolvedEvents,
+            JSON.stringify(eventCounts),
+            runId, partitionId
+        ]
+    );
+}
+
+/**
+ * Record why an attempt failed; a retry marks the partition running again
+ */
+async function recordPartitionFailure(db, { runId, partitionId, error }) {
+    const finishedAt = new Date().toISOString();
+    await run(
+        db,
+        `UPDATE audit_partitions SET
+            finished_at = ?, duration_ms = ${DURATION_SQL}, outcome = 'failed', error_type = ?, error_message = ?
+         WHERE run_id = ? AND partition_id = ?`,
+        [finishedAt, finishedAt, error.name, error.message, runId, partitionId]
+    );
+}
+
+function parseRun(row) {
+    return row && { ...row, event_counts: row.event_counts ? JSON.parse(row.event_counts) : {} };
+}
+
+/**
+ * Most recent runs first
+ */
+async function listRuns(db, { since = null, limit = 20 } = {}) {
+    const rows = await all(
+        db,
+        `SELECT * FROM audit_runs
+         ${since ? 'WHERE started_at >= ?' : ''}
+         ORDER BY started_at DESC LIMIT ?`,
+        since ? [since, limit] : [limit]
+    );
+    return rows.map(parseRun);
+}
+
+/**
+ * A run by run id or workflow id (its latest run), with its partitions; null when unknown
+ */
+async function getRun(db, id) {
+    const row = await get(
+        db,
+        `SELECT * FROM audit_runs WHERE run_id = ? OR workflow_id = ?
+         ORDER BY started_at DESC LIMIT 1`,
+        [id, id]
+    );
+    if (!row) return null;
+
+    const partitions = await all(
+        db,
+        'SELECT * FROM audit_partitions WHERE run_id = ? ORDER BY partition_id',
+        [row.run_id]
+    );
+    return { ...parseRun(row), partitions: partitions.map(parseRun) };
+}
+
+/**
+ * Run counts per outcome and duration statistics of the finished runs started since the given time
+ */
+async function getRunStats(db, since) {
+    const outcomes = await all(
+        db,
+        'SELECT outcome, COUNT(*) AS runs FROM audit_runs WHERE started_at >= ? GROUP BY outcome ORDER BY outcome',
+        [since]
+    );
+    const totals = await get(
+        db,
+        `SELECT COUNT(*) AS runs, AVG(duration_ms) AS avgDurationMs, MIN(duration_ms) AS minDurationMs,
+                MAX(duration_ms) AS maxDurationMs, AVG(wallets_processed) AS avgWalletsProcessed,
+                SUM(events_found) AS eventsFound, SUM(new_events) AS newEvents, SUM(failed_partitions) AS failedPartitions
+         FROM audit_runs WHERE started_at >= ? AND finished_at IS NOT NULL`,
+        [since]
+    );
+    const durations = (await all(
+        db,
+        `SELECT duration_ms FROM audit_runs
+         WHERE started_at >= ? AND finished_at IS NOT NULL ORDER BY duration_ms`,
+        [since]
+    )).map(row => row.duration_ms);
+
+    const percentile = (p) => durations.length === 0
+        ? null
+        : durations[Math.min(durations.length - 1, Math.ceil(p * durations.length) - 1)];
+
+    return {
+        since,
+        outcomes,
+        ...totals,
+        medianDurationMs: percentile(0.5),
+        p95DurationMs: percentile(0.95)
+    };
+}
+
+module.exports = {
+    recordRunStart,
+    recordRunFinish,
+    getScanBaseline,
+    recordPartitionStart,
+    recordPartitionFinish,
+    recordPartitionFailure,
+    listRuns,
+    getRun,
+    getRunStats
+};
@@ -0,0 +1,103 @@
+const { run, get, all, exec } = require('./wallet-db');
+
+/**
+ * Detailed audit results live in the wallet database, keyed by workflow run, so workflow and
+ * activity results (and with them the Temporal history) only carry counts and a reference.
+ */
+
+/**
+ * Remove what an earlier attempt of a partition stored, past afterKey (all of it when null),
+ * so a retried activity does not leave wallets behind that were cleared in between
+ */
+async function clearRunEvents(db, { runId, partitionId, afterKey = null }) {
+    const keyCheck = afterKey === null ? '' : ' AND wallet_name > ?';
+    await run(
+        db,
+        `DELETE FROM audit_run_events WHERE run_id = ? AND partition_id = ?${keyCheck}`,
+        afterKey === null ? [runId, partitionId] : [runId, partitionId, afterKey]
+    );
+}
+
+/**
+ * Store the events of one chunk of a partition in a single transaction
+ */
+async function saveRunEvents(db, { workflowId, runId, partitionId, events }) {
+    if (events.length === 0) return;
+
+    await exec(db, 'BEGIN IMMEDIATE');
+
+    try {
+        const recordedAt = new Date().toISOString();
+        for (const event of events) {
+            await run(
+                db,
+                `INSERT OR REPLACE INTO audit_run_events
+                    (workflow_id, run_id, partition_id, wallet_name, events, flag_versions, recorded_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    workflowId,
+                    runId,
+                    partitionId,
+                    event.wallet_name,
+                    JSON.stringify(event.events),
+                    JSON.stringify(event.flag_versions || {}),
+                    recordedAt
+                ]
+            );
+        }
+
+        await exec(db, 'COMMIT');
+    } catch (error) {
+        await exec(db, 'ROLLBACK');
+        throw error;
+    }
+}
+
+/**
+ * Latest run recorded for a workflow id, or null when nothing was stored for it
+ */
+async function getLatestRunId(db, workflowId) {
+    const row = await get(
+        db,
+        `SELECT run_id FROM audit_run_events WHERE workflow_id = ?
+         ORDER BY recorded_at DESC LIMIT 1`,
+        [workflowId]
+    );
+    return row ? row.run_id : null;
+}
+
+/**
+ * Events stored for a workflow run (the latest run of the workflow id unless runId is given),
+ * in wallet order: [{ wallet_name, events, flag_versions, partition_id, recorded_at }]
+ */
+async function getRunEvents(db, workflowId, runId = null) {
+    const resolvedRunId = runId || await getLatestRunId(db, workflowId);
+    if (!resolvedRunId) {
+        return { workflowId, runId: null, events: [] };
+    }
+
+    const rows = await all(
+        db,
+        `SELECT wallet_name, events, flag_versions, partition_id, recorded_at
+         FROM audit_run_events
+         WHERE workflow_id = ? AND run_id = ?
+         ORDER BY wallet_name`,
+        [workflowId, resolvedRunId]
+    );
+
+    return {
+        workflowId,
+        runId: resolvedRunId,
+        events: rows.map(row => ({
+            ...row,
+            events: JSON.parse(row.events),
+            flag_versions: JSON.parse(row.flag_versions)
+        }))
+    };
+}
+
+module.exports = {
+    clearRunEvents,
+    saveRunEvents,
+    getRunEvents
+};
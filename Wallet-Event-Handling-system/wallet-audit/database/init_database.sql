@@ -7,8 +7,166 @@ CREATE TABLE IF NOT EXISTS wallets (
     open_order INTEGER DEFAULT 0,
     open_position INTEGER DEFAULT 0,
     new_balance INTEGER DEFAULT 0,
-    check_balance INTEGER DEFAULT 0
+    check_balance INTEGER DEFAULT 0,
+    -- Bumped every time the matching flag is raised (see triggers below)
+    rebalance_version INTEGER NOT NULL DEFAULT 0,
+    open_order_version INTEGER NOT NULL DEFAULT 0,
+    open_position_version INTEGER NOT NULL DEFAULT 0,
+    new_balance_version INTEGER NOT NULL DEFAULT 0,
+    check_balance_version INTEGER NOT NULL DEFAULT 0,
+    -- Value of the change counter at the last write (see triggers below)
+    change_seq INTEGER NOT NULL DEFAULT 0,
+    -- Hash of wallet_name, the wallet's cohort of N is cohort_key % N (see audit-cohorts.js)
+    cohort_key INTEGER
 );
 
 -- Create index for better query performance
-CREATE INDEX IF NOT EXISTS idx_wallet_name ON wallets(wallet_name); 
\ No newline at end of file
+CREATE INDEX IF NOT EXISTS idx_wallet_name ON wallets(wallet_name); 
+CREATE INDEX IF NOT EXISTS idx_wallets_change_seq ON wallets(change_seq);
+
+-- Audit bookkeeping, e.g. the wallet change counter and the next cohort of each rotation
+CREATE TABLE IF NOT EXISTS audit_meta (
+    key TEXT PRIMARY KEY,
+    value TEXT
+);
+
+INSERT OR IGNORE INTO audit_meta (key, value) VALUES ('wallet_change_seq', '0');
+
+-- Every written wallet takes the next change counter value, so audits can scan only changed wallets
+CREATE TRIGGER IF NOT EXISTS trg_wallets_insert_change_seq
+AFTER INSERT ON wallets
+BEGIN
+    UPDATE audit_meta SET value = CAST(value AS INTEGER) + 1 WHERE key = 'wallet_change_seq';
+    UPDATE wallets
+    SET change_seq = (SELECT CAST(value AS INTEGER) FROM audit_meta WHERE key = 'wallet_change_seq')
+    WHERE wallet_name = NEW.wallet_name;
+END;
+
+-- Assigning a cohort_key is not a change of the wallet
+CREATE TRIGGER IF NOT EXISTS trg_wallets_update_change_seq
+AFTER UPDATE ON wallets
+WHEN NEW.change_seq = OLD.change_seq AND NEW.cohort_key IS OLD.cohort_key
+BEGIN
+    UPDATE audit_meta SET value = CAST(value AS INTEGER) + 1 WHERE key = 'wallet_change_seq';
+    UPDATE wallets
+    SET change_seq = (SELECT CAST(value AS INTEGER) FROM audit_meta WHERE key = 'wallet_change_seq')
+    WHERE wallet_name = NEW.wallet_name;
+END;
+
+-- Version bumps let a handler clear a flag only if it was not raised again meanwhile
+CREATE TRIGGER IF NOT EXISTS trg_wallets_rebalance_raised
+AFTER UPDATE OF rebalance ON wallets
+WHEN NEW.rebalance = 1
+BEGIN
+    UPDATE wallets SET rebalance_version = rebalance_version + 1 WHERE wallet_name = NEW.wallet_name;
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_wallets_open_order_raised
+AFTER UPDATE OF open_order ON wallets
+WHEN NEW.open_order = 1
+BEGIN
+    UPDATE wallets SET open_order_version = open_order_version + 1 WHERE wallet_name = NEW.wallet_name;
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_wallets_open_position_raised
+AFTER UPDATE OF open_position ON wallets
+WHEN NEW.open_position = 1
+BEGIN
+    UPDATE wallets SET open_position_version = open_position_version + 1 WHERE wallet_name = NEW.wallet_name;
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_wallets_new_balance_raised
+AFTER UPDATE OF new_balance ON wallets
+WHEN NEW.new_balance = 1
+BEGIN
+    UPDATE wallets SET new_balance_version = new_balance_version + 1 WHERE wallet_name = NEW.wallet_name;
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_wallets_check_balance_raised
+AFTER UPDATE OF check_balance ON wallets
+WHEN NEW.check_balance = 1
+BEGIN
+    UPDATE wallets SET check_balance_version = check_balance_version + 1 WHERE wallet_name = NEW.wallet_name;
+END;
+
+-- Audit trail of flag resolutions by event handlers
+CREATE TABLE IF NOT EXISTS wallet_flag_resolutions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    wallet_name TEXT NOT NULL,
+    event_type TEXT NOT NULL,
+    flag TEXT NOT NULL,
+    expected_version INTEGER,
+    outcome TEXT NOT NULL,          -- resolved | conflict | already_clear
+    resolved_by TEXT NOT NULL,
+    item_id TEXT,
+    resolved_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_flag_resolutions_wallet ON wallet_flag_resolutions(wallet_name, resolved_at);
+
+-- Events found by each audit run, so workflow results only carry counts (see audit-results.js)
+CREATE TABLE IF NOT EXISTS audit_run_events (
+    workflow_id TEXT NOT NULL,
+    run_id TEXT NOT NULL,
+    partition_id INTEGER NOT NULL,
+    wallet_name TEXT NOT NULL,
+    events TEXT NOT NULL,           -- JSON array of event types
+    flag_versions TEXT NOT NULL,    -- JSON object, event type -> flag version
+    recorded_at TEXT NOT NULL,
+    PRIMARY KEY (run_id, wallet_name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_run_events_workflow ON audit_run_events(workflow_id, recorded_at);
+CREATE INDEX IF NOT EXISTS idx_audit_run_events_partition ON audit_run_events(run_id, partition_id);
+
+-- Audit run history, one row per workflow run and per partition (see audit-history.js)
+CREATE TABLE IF NOT EXISTS audit_runs (
+    run_id TEXT PRIMARY KEY,
+    workflow_id TEXT NOT NULL,
+    started_at TEXT NOT NULL,
+    finished_at TEXT,
+    duration_ms INTEGER,
+    num_workers INTEGER,
+    total_wallets INTEGER,
+    total_partitions INTEGER,
+    failed_partitions INTEGER,
+    wallets_processed INTEGER,
+    events_found INTEGER,
+    new_events INTEGER,
+    still_open_events INTEGER,
+    resolved_events INTEGER,
+    event_counts TEXT,              -- JSON object, event type -> wallets
+    outcome TEXT NOT NULL,          -- running | completed | partial | cancelled | failed
+    scan_mode TEXT,                 -- full | incremental
+    since_seq INTEGER,              -- incremental runs scan wallets with change_seq > since_seq
+    high_water_mark INTEGER,        -- change counter when the run was planned
+    scope TEXT                      -- segment and rule set of the run, NULL for all wallets and rules
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_runs_started ON audit_runs(started_at);
+CREATE INDEX IF NOT EXISTS idx_audit_runs_workflow ON audit_runs(workflow_id);
+
+CREATE TABLE IF NOT EXISTS audit_partitions (
+    run_id TEXT NOT NULL,
+    partition_id INTEGER NOT NULL,
+    workflow_id TEXT NOT NULL,
+    range_label TEXT NOT NULL,
+    after_key TEXT,
+    up_to_key TEXT,
+    worker_id INTEGER,
+    worker_identity TEXT,           -- worker of the last attempt (wallet-worker-N, or pid@host)
+    attempt INTEGER,
+    started_at TEXT NOT NULL,
+    finished_at TEXT,
+    duration_ms INTEGER,
+    wallets_processed INTEGER,
+    events_found INTEGER,
+    new_events INTEGER,
+    still_open_events INTEGER,
+    resolved_events INTEGER,
+    event_counts TEXT,              -- JSON object, event type -> wallets
+    outcome TEXT NOT NULL,          -- running | done | failed
+    error_type TEXT,
+    error_message TEXT,
+    PRIMARY KEY (run_id, partition_id)
+);
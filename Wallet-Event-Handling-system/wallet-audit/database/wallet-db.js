@@ -0,0 +1,298 @@
+const sqlite3 = require('sqlite3').verbose();
+const { AuditRulesError, getEventTypes, getEventFlags, getRuleColumns } = require('../services/audit-rules');
+
+const DATABASE_PATH = './database/wallet_data.db';
+
+// Every inserted or updated wallet takes the next value of the change counter, so an audit can
+// scan only the wallets written since the high-water mark of its last successful run.
+// Assigning a cohort_key (see audit-cohorts.js) is not a change of the wallet.
+const WALLET_CHANGE_TRIGGERS = ['INSERT', 'UPDATE'].map(operation => `
+    CREATE TRIGGER IF NOT EXISTS trg_wallets_${operation.toLowerCase()}_change_seq
+    AFTER ${operation} ON wallets
+    ${operation === 'UPDATE' ? 'WHEN NEW.change_seq = OLD.change_seq AND NEW.cohort_key IS OLD.cohort_key' : ''}
+    BEGIN
+        UPDATE audit_meta SET value = CAST(value AS INTEGER) + 1 WHERE key = 'wallet_change_seq';
+        UPDATE wallets
+        SET change_seq = (SELECT CAST(value AS INTEGER) FROM audit_meta WHERE key = 'wallet_change_seq')
+        WHERE wallet_name = NEW.wallet_name;
+    END;
+`).join('');
+
+/**
+ * Open the wallet database and bring its schema up to date
+ */
+async function openDatabase(databasePath = DATABASE_PATH) {
+    const db = await new Promise((resolve, reject) => {
+        const database = new sqlite3.Database(databasePath, (err) => err ? reject(err) : resolve(database));
+    });
+    db.configure('busyTimeout', 5000);
+
+    try {
+        await ensureSchema(db);
+        return db;
+    } catch (error) {
+        db.close();
+        throw error;
+    }
+}
+
+function closeDatabase(db) {
+    return new Promise((resolve) => db.close(() => resolve()));
+}
+
+function run(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function (err) {
+            if (err) {
+                reject(err);
+            } else {
+                resolve({ changes: this.changes, lastID: this.lastID });
+            }
+        });
+    });
+}
+
+function get(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+    });
+}
+
+function all(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+    });
+}
+
+function exec(db, sql) {
+    return new Promise((resolve, reject) => {
+        db.exec(sql, (err) => err ? reject(err) : resolve());
+    });
+}
+
+/**
+ * Add what later versions of the audit need to a database created from the original schema.
+ * Safe to run on every open; see init_database.sql for the full schema.
+ */
+async function ensureSchema(db) {
+    // The flag columns of the audit rules (see config/audit-rules.json) must exist before their triggers
+    const missingColumns = await getMissingWalletColumns(db, getRuleColumns());
+    if (missingColumns.length > 0) {
+        throw new AuditRulesError('Audit rules use columns the wallets table does not have', missingColumns);
+    }
+
+    const flags = Object.values(getEventFlags());
+
+    await addMissingColumns(db, 'wallets', {
+        ...Object.fromEntries(flags.map(flag => [`${flag}_version`, 'INTEGER NOT NULL DEFAULT 0'])),
+        change_seq: 'INTEGER NOT NULL DEFAULT 0',
+        cohort_key: 'INTEGER'
+    });
+
+    // Every write that raises a flag bumps its version, so a resolution can tell it was raised again
+    const triggers = flags.map(flag => `
+        CREATE TRIGGER IF NOT EXISTS trg_wallets_${flag}_raised
+        AFTER UPDATE OF ${flag} ON wallets
+        WHEN NEW.${flag} = 1
+        BEGIN
+            UPDATE wallets SET ${flag}_version = ${flag}_version + 1 WHERE wallet_name = NEW.wallet_name;
+        END;
+    `).join('');
+
+    await exec(db, `
+        ${triggers}
+        CREATE TABLE IF NOT EXISTS audit_meta (
+            key TEXT PRIMARY KEY,
+            value TEXT
+        );
+        INSERT OR IGNORE INTO audit_meta (key, value) VALUES ('wallet_change_seq', '0');
+        CREATE INDEX IF NOT EXISTS idx_wallets_change_seq ON wallets(change_seq);
+        ${WALLET_CHANGE_TRIGGERS}
+        CREATE TABLE IF NOT EXISTS wallet_flag_resolutions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            wallet_name TEXT NOT NULL,
+            event_type TEXT NOT NULL,
+            flag TEXT NOT NULL,
+            expected_version INTEGER,
+            outcome TEXT NOT NULL,
+            resolved_by TEXT NOT NULL,
+            item_id TEXT,
+            resolved_at TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_flag_resolutions_wallet ON wallet_flag_resolutions(wallet_name, resolved_at);
+        CREATE TABLE IF NOT EXISTS audit_run_events (
+            workflow_id TEXT NOT NULL,
+            run_id TEXT NOT NULL,
+            partition_id INTEGER NOT NULL,
+            wallet_name TEXT NOT NULL,
+            events TEXT NOT NULL,
+            flag_versions TEXT NOT NULL,
+            recorded_at TEXT NOT NULL,
+            PRIMARY KEY (run_id, wallet_name)
+        );
+        CREATE INDEX IF NOT EXISTS idx_audit_run_events_workflow ON audit_run_events(workflow_id, recorded_at);
+        CREATE INDEX IF NOT EXISTS idx_audit_run_events_partition ON audit_run_events(run_id, partition_id);
+        CREATE TABLE IF NOT EXISTS audit_runs (
+            run_id TEXT PRIMARY KEY,
+            workflow_id TEXT NOT NULL,
+            started_at TEXT NOT NULL,
+            finished_at TEXT,
+            duration_ms INTEGER,
+            num_workers INTEGER,
+            total_wallets INTEGER,
+            total_partitions INTEGER,
+            failed_partitions INTEGER,
+            wallets_processed INTEGER,
+            events_found INTEGER,
+            new_events INTEGER,
+            still_open_events INTEGER,
+            resolved_events INTEGER,
+            event_counts TEXT,
+            outcome TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_audit_runs_started ON audit_runs(started_at);
+        CREATE INDEX IF NOT EXISTS idx_audit_runs_workflow ON audit_runs(workflow_id);
+        CREATE TABLE IF NOT EXISTS audit_partitions (
+            run_id TEXT NOT NULL,
+            partition_id INTEGER NOT NULL,
+            workflow_id TEXT NOT NULL,
+            range_label TEXT NOT NULL,
+            after_key TEXT,
+            up_to_key TEXT,
+            worker_id INTEGER,
+            worker_identity TEXT,
+            attempt INTEGER,
+            started_at TEXT NOT NULL,
+            finished_at TEXT,
+            duration_ms INTEGER,
+            wallets_processed INTEGER,
+            events_found INTEGER,
+            new_events INTEGER,
+            still_open_events INTEGER,
+            resolved_events INTEGER,
+            event_counts TEXT,
+            outcome TEXT NOT NULL,
+            error_type TEXT,
+            error_message TEXT,
+            PRIMARY KEY (run_id, partition_id)
+        );
+    `);
+
+    // Databases from before cohorts have a change trigger that also fires on cohort_key writes
+    const changeTrigger = await get(
+        db,
+        "SELECT sql FROM sqlite_master WHERE type = 'trigger' AND name = 'trg_wallets_update_change_seq'"
+    );
+    if (changeTrigger && !changeTrigger.sql.includes('cohort_key')) {
+        await exec(db, 'BEGIN IMMEDIATE');
+        try {
+            await exec(db, `DROP TRIGGER IF EXISTS trg_wallets_update_change_seq; ${WALLET_CHANGE_TRIGGERS}`);
+            await exec(db, 'COMMIT');
+        } catch (error) {
+            await exec(db, 'ROLLBACK');
+            throw error;
+        }
+    }
+
+    await addMissingColumns(db, 'audit_runs', {
+        scan_mode: 'TEXT',
+        since_seq: 'INTEGER',
+        high_water_mark: 'INTEGER',
+        scope: 'TEXT'
+    });
+}
+
+/**
+ * The given columns the wallets table does not have
+ */
+async function getMissingWalletColumns(db, columns) {
+    const walletColumns = (await all(db, 'PRAGMA table_info(wallets)')).map(column => column.name);
+    return columns.filter(column => !walletColumns.includes(column));
+}
+
+/**
+ * Add the columns a table does not have yet; definitions are column name -> type and constraints
+ */
+async function addMissingColumns(db, table, definitions) {
+    const columns = (await all(db, `PRAGMA table_info(${table})`)).map(column => column.name);
+
+    for (const [name, definition] of Object.entries(definitions)) {
+        if (columns.includes(name)) continue;
+        try {
+            await run(db, `ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`);
+        } catch (error) {
+            // Another worker migrated the same database first
+            if (!error.message.includes('duplicate column')) throw error;
+        }
+    }
+}
+
+/**
+ * Current value of the wallet change counter; every wallet written after this has a higher change_seq
+ */
+async function getWalletChangeSeq(db) {
+    const row = await get(db, "SELECT CAST(value AS INTEGER) AS seq FROM audit_meta WHERE key = 'wallet_change_seq'");
+    return row ? row.seq : 0;
+}
+
+/**
+ * Clear a wallet flag after its event was handled, unless it was raised again since the event was
+ * detected (its version moved on). Every attempt is recorded in wallet_flag_resolutions.
+ * Resolves to 'resolved', 'conflict' (flag raised again, kept) or 'already_clear', or to 'no_flag'
+ * for events whose rule has no flag: those clear once their condition no longer holds.
+ */
+async function resolveWalletFlag(db, { walletName, eventType, expectedVersion = null, resolvedBy, itemId = null }) {
+    if (!getEventTypes().includes(eventType)) {
+        throw new Error(`Unknown event type ${eventType}`);
+    }
+    const flag = getEventFlags()[eventType];
+    if (!flag) {
+        return 'no_flag';
+    }
+
+    await exec(db, 'BEGIN IMMEDIATE');
+
+    try {
+        // Items queued before flag versions existed carry none and clear the flag unconditionally
+        const versionCheck = expectedVersion === null ? '' : ` AND ${flag}_version = ?`;
+        const cleared = await run(
+            db,
+            `UPDATE wallets SET ${flag} = 0 WHERE wallet_name = ? AND ${flag} = 1${versionCheck}`,
+            expectedVersion === null ? [walletName] : [walletName, expectedVersion]
+        );
+
+        let outcome = 'resolved';
+        if (cleared.changes === 0) {
+            const wallet = await get(db, `SELECT ${flag} AS raised FROM wallets WHERE wallet_name = ?`, [walletName]);
+            outcome = wallet && wallet.raised === 1 ? 'conflict' : 'already_clear';
+        }
+
+        await run(
+            db,
+            `INSERT INTO wallet_flag_resolutions
+                (wallet_name, event_type, flag, expected_version, outcome, resolved_by, item_id, resolved_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [walletName, eventType, flag, expectedVersion, outcome, resolvedBy, itemId, new Date().toISOString()]
+        );
+
+        await exec(db, 'COMMIT');
+        return outcome;
+    } catch (error) {
+        await exec(db, 'ROLLBACK');
+        throw error;
+    }
+}
+
+module.exports = {
+    DATABASE_PATH,
+    openDatabase,
+    closeDatabase,
+    ensureSchema,
+    getMissingWalletColumns,
+    resolveWalletFlag,
+    getWalletChangeSeq,
+    run,
+    get,
+    all,
+    exec
+};
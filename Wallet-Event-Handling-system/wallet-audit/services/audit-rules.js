@@ -0,0 +1,346 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_RULES_PATH = path.join(__dirname, '../config/audit-rules.json');
+
+/**
+ * Rules deciding which events a wallet raises, loaded from config/audit-rules.json
+ * (or AUDIT_RULES_PATH). Each rule names its event, its queue priority, the condition over
+ * wallet columns that raises it and, optionally, the flag column a handler clears afterwards:
+ *
+ *   { "event": "LOW_BALANCE", "priority": 3, "thresholds": { "min": 100 },
+ *     "condition": { "all": [
+ *         { "column": "balance", "op": "<", "threshold": "min" },
+ *         { "not": { "column": "frozen", "op": "==", "value": 1 } } ] } }
+ *
+ * A condition is a comparison { column, op, value | threshold } or combines conditions with
+ * all, any or not. A NULL column matches no comparison, as in SQL.
+ *
+ * Rules are evaluated in JavaScript, which compares without SQLite's type conversions
+ * (1 == '1' holds in SQL), so their values must be numbers. Conditions only run as SQL, such as
+ * wallet segments, may also compare strings.
+ */
+
+const OPERATORS = {
+    '==': (actual, expected) => actual === expected,
+    '!=': (actual, expected) => actual !== expected,
+    '>': (actual, expected) => actual > expected,
+    '>=': (actual, expected) => actual >= expected,
+    '<': (actual, expected) => actual < expected,
+    '<=': (actual, expected) => actual <= expected
+};
+
+// Queue priority levels, see the backends' priorityLevels
+const MIN_PRIORITY = 1;
+const MAX_PRIORITY = 5;
+
+// Column names end up in SQL, so only plain identifiers are accepted
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const EVENT_NAME = /^[A-Z][A-Z0-9_]*$/;
+
+class AuditRulesError extends Error {
+    constructor(message, problems = []) {
+        super(problems.length > 0 ? `${message}:\n  - ${problems.join('\n  - ')}` : message);
+        this.name = 'AuditRulesError';
+        this.problems = problems;
+    }
+}
+
+let cachedRules = null;
+
+/**
+ * Read and validate the rules file; throws an AuditRulesError listing every problem found
+ */
+function loadAuditRules(rulesPath = process.env.AUDIT_RULES_PATH || DEFAULT_RULES_PATH) {
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(rulesPath, 'utf8'));
+    } catch (error) {
+        throw new AuditRulesError(`Cannot read audit rules from ${rulesPath}: ${error.message}`);
+    }
+
+    const problems = validateRules(config);
+    if (problems.length > 0) {
+        throw new AuditRulesError(`Invalid audit rules in ${rulesPath}`, problems);
+    }
+
+    return config.rules.map(rule => ({
+        description: '',
+        flag: null,
+        thresholds: {},
+        ...rule
+    }));
+}
+
+/**
+ * The rules of this process, loaded on first use
+ */
+function getAuditRules() {
+    if (!cachedRules) {
+        cachedRules = loadAuditRules();
+    }
+    return cachedRules;
+}
+
+/**
+ * Problems with the structure of a rules config, empty when it is valid
+ */
+function validateRules(config) {
+    if (!config || !Array.isArray(config.rules) || config.rules.length === 0) {
+        return ['"rules" must be a non-empty array'];
+    }
+
+    const problems = [];
+    const events = new Set();
+    const flags = new Set();
+
+    config.rules.forEach((rule, index) => {
+        const name = rule && typeof rule.event === 'string' ? rule.event : `rules[${index}]`;
+
+        if (!rule || typeof rule.event !== 'string' || !EVENT_NAME.test(rule.event)) {
+            problems.push(`${name}: "event" must be an upper-case name such as REBALANCE_NEEDED`);
+            return;
+        }
+        if (events.has(rule.event)) {
+            problems.push(`${name}: defined more than once`);
+        }
+        events.add(rule.event);
+
+        if (!Number.isInteger(rule.priority) || rule.priority < MIN_PRIORITY || rule.priority > MAX_PRIORITY) {
+            problems.push(`${name}: "priority" must be an integer from ${MIN_PRIORITY} to ${MAX_PRIORITY}`);
+        }
+        if (rule.description !== undefined && typeof rule.description !== 'string') {
+            problems.push(`${name}: "description" must be a string`);
+        }
+        if (rule.flag !== undefined && rule.flag !== null) {
+            if (typeof rule.flag !== 'string' || !IDENTIFIER.test(rule.flag)) {
+                problems.push(`${name}: "flag" must be a column name`);
+            } else if (flags.has(rule.flag)) {
+                problems.push(`${name}: flag ${rule.flag} is already used by another rule`);
+            }
+            flags.add(rule.flag);
+        }
+
+        const thresholds = rule.thresholds || {};
+        if (typeof thresholds !== 'object' || Array.isArray(thresholds)) {
+            problems.push(`${name}: "thresholds" must map names to numbers`);
+        } else {
+            Object.entries(thresholds)
+                .filter(([, value]) => typeof value !== 'number')
+                .forEach(([threshold]) => problems.push(`${name}: threshold ${threshold} must be a number`));
+        }
+
+        if (rule.condition === undefined) {
+            problems.push(`${name}: "condition" is required`);
+        } else {
+            validateCondition(rule.condition, thresholds, `${name}: condition`, problems, ['number']);
+        }
+    });
+
+    return problems;
+}
+
+function validateCondition(condition, thresholds, where, problems, valueTypes) {
+    if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+        problems.push(`${where} must be an object`);
+        return;
+    }
+
+    const kinds = ['column', 'all', 'any', 'not'].filter(kind => kind in condition);
+    if (kinds.length !== 1) {
+        problems.push(`${where} must have exactly one of column, all, any or not`);
+        return;
+    }
+
+    switch (kinds[0]) {
+        case 'all':
+        case 'any':
+            if (!Array.isArray(condition[kinds[0]]) || condition[kinds[0]].length === 0) {
+                problems.push(`${where}.${kinds[0]} must be a non-empty array`);
+                return;
+            }
+            condition[kinds[0]].forEach((child, index) => {
+                validateCondition(child, thresholds, `${where}.${kinds[0]}[${index}]`, problems, valueTypes);
+            });
+            return;
+
+        case 'not':
+            validateCondition(condition.not, thresholds, `${where}.not`, problems, valueTypes);
+            return;
+
+        default:
+            if (typeof condition.column !== 'string' || !IDENTIFIER.test(condition.column)) {
+                problems.push(`${where}: "column" must be a column name`);
+            }
+            if (!OPERATORS[condition.op]) {
+                problems.push(`${where}: "op" must be one of ${Object.keys(OPERATORS).join(' ')}`);
+            }
+            if (('value' in condition) === ('threshold' in condition)) {
+                problems.push(`${where}: needs either "value" or "threshold"`);
+            } else if ('threshold' in condition && !(condition.threshold in thresholds)) {
+                problems.push(`${where}: unknown threshold ${condition.threshold}`);
+            } else if ('value' in condition && !valueTypes.includes(typeof condition.value)) {
+                problems.push(`${where}: "value" must be a ${valueTypes.join(' or ')}`);
+            }
+    }
+}
+
+/**
+ * Problems with a condition used outside a rule (such as a wallet segment), which has no thresholds
+ */
+function getConditionProblems(condition, where = 'condition') {
+    const problems = [];
+    validateCondition(condition, {}, where, problems, ['number', 'string']);
+    return problems;
+}
+
+/**
+ * The condition as a SQL expression over the wallets columns, with its parameters.
+ * A NULL column matches no comparison, also under NOT, as in evaluateCondition.
+ */
+function conditionToSql(condition, thresholds = {}) {
+    if (condition.all || condition.any) {
+        const parts = (condition.all || condition.any).map(child => conditionToSql(child, thresholds));
+        return {
+            sql: `(${parts.map(part => part.sql).join(condition.all ? ' AND ' : ' OR ')})`,
+            params: parts.flatMap(part => part.params)
+        };
+    }
+    if (condition.not) {
+        const part = conditionToSql(condition.not, thresholds);
+        return { sql: `NOT ${part.sql}`, params: part.params };
+    }
+
+    const operator = { '==': '=', '!=': '<>' }[condition.op] || condition.op;
+    const expected = 'threshold' in condition ? thresholds[condition.threshold] : condition.value;
+    return {
+        sql: `(${condition.column} IS NOT NULL AND ${condition.column} ${operator} ?)`,
+        params: [expected]
+    };
+}
+
+/**
+ * Whether the condition holds for a wallet row
+ */
+function evaluateCondition(condition, wallet, thresholds = {}) {
+    if (condition.all) return condition.all.every(child => evaluateCondition(child, wallet, thresholds));
+    if (condition.any) return condition.any.some(child => evaluateCondition(child, wallet, thresholds));
+    if (condition.not) return !evaluateCondition(condition.not, wallet, thresholds);
+
+    const actual = wallet[condition.column];
+    if (actual === null || actual === undefined) return false;
+
+    const expected = 'threshold' in condition ? thresholds[condition.threshold] : condition.value;
+    return OPERATORS[condition.op](actual, expected);
+}
+
+/**
+ * Event types the wallet raises, in rule order
+ */
+function evaluateRules(wallet, rules = getAuditRules()) {
+    return rules
+        .filter(rule => evaluateCondition(rule.condition, wallet, rule.thresholds))
+        .map(rule => rule.event);
+}
+
+/**
+ * Every rule with whether it fires for the wallet, for inspecting a single row
+ */
+function explainRules(wallet, rules = getAuditRules()) {
+    return rules.map(rule => ({
+        rule,
+        fired: evaluateCondition(rule.condition, wallet, rule.thresholds),
+        condition: formatCondition(rule.condition, rule.thresholds)
+    }));
+}
+
+function formatCondition(condition, thresholds = {}) {
+    if (condition.all) return `(${condition.all.map(child => formatCondition(child, thresholds)).join(' AND ')})`;
+    if (condition.any) return `(${condition.any.map(child => formatCondition(child, thresholds)).join(' OR ')})`;
+    if (condition.not) return `NOT ${formatCondition(condition.not, thresholds)}`;
+
+    const expected = 'threshold' in condition
+        ? `${condition.threshold} (${thresholds[condition.threshold]})`
+        : JSON.stringify(condition.value);
+    return `${condition.column} ${condition.op} ${expected}`;
+}
+
+function collectColumns(condition, columns) {
+    if (condition.all || condition.any) {
+        (condition.all || condition.any).forEach(child => collectColumns(child, columns));
+    } else if (condition.not) {
+        collectColumns(condition.not, columns);
+    } else {
+        columns.add(condition.column);
+    }
+    return columns;
+}
+
+/**
+ * Wallet columns a condition compares
+ */
+function getConditionColumns(condition) {
+    return [...collectColumns(condition, new Set())];
+}
+
+/**
+ * Wallet columns the rules read: the flags and every column their conditions compare
+ */
+function getRuleColumns(rules = getAuditRules()) {
+    const columns = new Set();
+    rules.forEach(rule => {
+        if (rule.flag) columns.add(rule.flag);
+        collectColumns(rule.condition, columns);
+    });
+    return [...columns];
+}
+
+function getEventTypes(rules = getAuditRules()) {
+    return rules.map(rule => rule.event);
+}
+
+/**
+ * The rules of the given event types (a rule set), or all rules when none are given
+ */
+function selectRules(eventTypes = null, rules = getAuditRules()) {
+    if (!eventTypes) return rules;
+
+    const unknown = eventTypes.filter(eventType => !rules.some(rule => rule.event === eventType));
+    if (unknown.length > 0) {
+        throw new AuditRulesError('Rule set names event types without a rule', unknown);
+    }
+    return rules.filter(rule => eventTypes.includes(rule.event));
+}
+
+/**
+ * Queue priority of an event type; event types without a rule get the lowest
+ */
+function getEventPriority(eventType, rules = getAuditRules()) {
+    const rule = rules.find(candidate => candidate.event === eventType);
+    return rule ? rule.priority : MIN_PRIORITY;
+}
+
+/**
+ * Event type -> wallets flag column, for the rules that have a flag
+ */
+function getEventFlags(rules = getAuditRules()) {
+    return Object.fromEntries(rules.filter(rule => rule.flag).map(rule => [rule.event, rule.flag]));
+}
+
+module.exports = {
+    AuditRulesError,
+    loadAuditRules,
+    getAuditRules,
+    validateRules,
+    getConditionProblems,
+    conditionToSql,
+    evaluateCondition,
+    selectRules,
+    evaluateRules,
+    explainRules,
+    getConditionColumns,
+    getRuleColumns,
+    getEventTypes,
+    getEventPriority,
+    getEventFlags
+};
@@ -0,0 +1,89 @@
+const { Client, WorkflowExecutionAlreadyStartedError } = require('@temporalio/client');
+const { getEventHandler, getHandlerWorkflowId } = require('../workflows/event-handler-registry');
+const { getEventTypes } = require('./audit-rules');
+
+/**
+ * Starts the handler workflow of every event in a queue item, as registered in event-handler-registry.js
+ */
+class EventWorkflowStarter {
+    constructor() {
+        this.client = null;
+    }
+
+    getClient() {
+        if (!this.client) {
+            this.client = new Client();
+        }
+        return this.client;
+    }
+
+    /**
+     * Start one workflow per event. A workflow that was already started for this item counts as
+     * started, so a redelivered item never runs a handler twice; a handler that failed may run again.
+     * Event types of the audit rules without a registered handler run the fallback handler.
+     * Throws when an event type is neither registered nor in the rules, after starting the others.
+     */
+    async startHandlers(item) {
+        const started = [];
+        const unhandled = [];
+        const ruleEvents = getEventTypes();
+
+        for (const eventType of item.events) {
+            const handler = getEventHandler(eventType, { fallback: ruleEvents.includes(eventType) });
+            if (!handler) {
+                unhandled.push(eventType);
+                continue;
+            }
+
+            const workflowId = getHandlerWorkflowId(eventType, item);
+            const event = {
+                item_id: item.id,
+                wallet_name: item.wallet_name,
+                event_type: eventType,
+                flag_version: item.flag_versions?.[eventType] ?? null,
+                priority: item.priority,
+                detected_at: item.timestamp
+            };
+
+            try {
+                await this.getClient().workflow.start(handler.workflowType, {
+                    workflowId,
+                    taskQueue: handler.taskQueue,
+                    args: [event],
+                    workflowExecutionTimeout: handler.workflowExecutionTimeout,
+                    workflowIdReusePolicy: 'ALLOW_DUPLICATE_FAILED_ONLY'
+                });
+                console.log(`🚀 Started ${handler.workflowType} for ${item.wallet_name} (${workflowId})`);
+            } catch (error) {
+                if (!(error instanceof WorkflowExecutionAlreadyStartedError)) {
+                    throw error;
+                }
+                console.log(`⏭️  ${handler.workflowType} for ${item.wallet_name} already started (${workflowId})`);
+            }
+
+            started.push(workflowId);
+        }
+
+        if (unhandled.length > 0) {
+            throw new Error(`No handler workflow registered for: ${unhandled.join(', ')}`);
+        }
+
+        return started;
+    }
+}
+
+// Create singleton instance
+const eventWorkflowStarter = new EventWorkflowStarter();
+
+/**
+ * Queue consumer handler that hands each event to its Temporal handler workflow
+ */
+async function startEventWorkflowsHandler(item) {
+    await eventWorkflowStarter.startHandlers(item);
+}
+
+module.exports = {
+    EventWorkflowStarter,
+    eventWorkflowStarter,
+    startEventWorkflowsHandler
+};
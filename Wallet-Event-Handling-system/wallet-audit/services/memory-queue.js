@@ -0,0 +1,226 @@
+const { QueueBackend } = require('./queue-backend');
+
+/**
+ * Queue backend that keeps everything in process memory.
+ * Nothing survives a restart and nothing is shared between processes, so it is meant for
+ * running the audit pipeline locally in a single process and for tests.
+ */
+class MemoryQueueService extends QueueBackend {
+    constructor() {
+        super('Memory queue');
+        this.reset();
+    }
+
+    reset() {
+        // priority -> raw items, oldest first
+        this.pending = new Map(this.priorityLevels.map(priority => [priority, []]));
+        // item id -> { raw, consumerId, leaseExpiresAt }
+        this.processing = new Map();
+        // [{ raw, dueAt }]
+        this.delayed = [];
+        // raw items, newest first
+        this.failed = [];
+        this.openEvents = new Map();
+        // item id -> marker expiry (ms)
+        this.enqueued = new Map();
+    }
+
+    async connect() {
+        this.isConnected = true;
+        return true;
+    }
+
+    async disconnect() {
+        this.isConnected = false;
+    }
+
+    async healthCheck() {
+        if (!this.isConnected) {
+            return {
+                status: 'disconnected',
+                message: 'Memory queue not connected'
+            };
+        }
+
+        return {
+            status: 'healthy',
+            message: 'Memory queue is working'
+        };
+    }
+
+    getPendingList(priority) {
+        return this.pending.get(this.priorityLevels.includes(priority) ? priority : 1);
+    }
+
+    async writeQueueItems(queueItems) {
+        const now = Date.now();
+        let added = 0;
+
+        queueItems.forEach(item => {
+            const markerExpiry = this.enqueued.get(item.id);
+            if (markerExpiry && markerExpiry > now) {
+                return;
+            }
+
+            this.enqueued.set(item.id, now + this.dedupTtlSeconds * 1000);
+            this.getPendingList(item.priority).push(JSON.stringify(item));
+            added++;
+        });
+
+        return added;
+    }
+
+    async claimNextItem(consumerId) {
+        if (!this.isConnected) return null;
+
+        for (const priority of this.priorityLevels) {
+            const raw = this.pending.get(priority).shift();
+            if (raw) {
+                const item = JSON.parse(raw);
+                this.processing.set(item.id, { raw, consumerId, leaseExpiresAt: Date.now() + this.leaseTimeoutMs });
+                return { raw, item, consumerId, claimedAt: new Date().toISOString() };
+            }
+        }
+
+        return null;
+    }
+
+    async extendLease(claim) {
+        const entry = this.processing.get(claim.item.id);
+        if (!entry) return false;
+
+        entry.leaseExpiresAt = Date.now() + this.leaseTimeoutMs;
+        return true;
+    }
+
+    async ackItem(claim) {
+        return this.processing.delete(claim.item.id);
+    }
+
+    async failItem(claim, error) {
+        if (!this.isConnected) return false;
+
+        const { failedItem, retrying, attempts, delayMs } = this.prepareFailure(claim, error);
+        this.processing.delete(claim.item.id);
+
+        if (retrying) {
+            this.delayed.push({ raw: JSON.stringify(failedItem), dueAt: Date.parse(failedItem.next_attempt_at) });
+        } else {
+            this.failed.unshift(JSON.stringify(failedItem));
+        }
+
+        return { retrying, attempts, delayMs };
+    }
+
+    async promoteDueItems() {
+        const now = Date.now();
+        const due = this.delayed.filter(entry => entry.dueAt <= now);
+        this.delayed = this.delayed.filter(entry => entry.dueAt > now);
+
+        due.forEach(({ raw }) => {
+            this.getPendingList(JSON.parse(raw).priority).push(raw);
+        });
+
+        return due.length;
+    }
+
+    async recoverStaleItems() {
+        const now = Date.now();
+        let recovered = 0;
+
+        this.processing.forEach((entry, itemId) => {
+            if (entry.leaseExpiresAt <= now) {
+                this.processing.delete(itemId);
+                this.getPendingList(JSON.parse(entry.raw).priority).unshift(entry.raw);
+                recovered++;
+            }
+        });
+
+        return recovered;
+    }
+
+    async listFailedItems(filter = {}) {
+        return this.failed
+            .map(raw => ({ raw, item: this.parseFailedEntry(raw) }))
+            .filter(({ item }) => this.matchesFilter(item, filter));
+    }
+
+    async moveReplayedItem(entry, replayItem) {
+        if (await this.removeFailedEntry(entry) === 0) {
+            return 0;
+        }
+
+        this.getPendingList(replayItem.priority).push(JSON.stringify(replayItem));
+        return 1;
+    }
+
+    async removeFailedEntry(entry) {
+        const index = this.failed.indexOf(entry.raw);
+        if (index === -1) {
+            return 0;
+        }
+
+        this.failed.splice(index, 1);
+        return 1;
+    }
+
+    async readOpenEvents(fields) {
+        const openEntries = new Map();
+        fields.forEach(field => {
+            if (this.openEvents.has(field)) {
+                openEntries.set(field, this.openEvents.get(field));
+            }
+        });
+        return openEntries;
+    }
+
+    async commitOpenEvents(reconciliation) {
+        if (!this.isConnected || !reconciliation.tracked) return false;
+
+        reconciliation.updates.forEach(({ field, entry }) => this.openEvents.set(field, entry));
+        reconciliation.resolved.forEach(field => this.openEvents.delete(field));
+        return true;
+    }
+
+    async getOpenEventCount() {
+        return this.openEvents.size;
+    }
+
+    async getQueueLengthByPriority() {
+        return Object.fromEntries(this.priorityLevels.map(priority => [priority, this.pending.get(priority).length]));
+    }
+
+    async getProcessingQueueLength() {
+        return this.processing.size;
+    }
+
+    async getDelayedQueueLength() {
+        return this.delayed.length;
+    }
+
+    async getFailedQueueLength() {
+        return this.failed.length;
+    }
+
+    async clearPendingQueues(priority = null) {
+        const priorities = priority === null ? this.priorityLevels : [priority];
+        priorities.forEach(level => this.pending.set(level, []));
+        return true;
+    }
+
+    async clearAllQueues() {
+        await this.clearPendingQueues();
+        this.processing.clear();
+        this.delayed = [];
+        this.failed = [];
+        return true;
+    }
+}
+
+// Create singleton instance
+const memoryQueueService = new MemoryQueueService();
+
+module.exports = {
+    MemoryQueueService,
+    memoryQueueService
+};
@@ -0,0 +1,492 @@
+const crypto = require('crypto');
+const { retryPolicy } = require('./retry-policy');
+const { queueSpool } = require('./spool');
+const { getEventTypes, getEventPriority } = require('./audit-rules');
+
+/**
+ * Contract every audit queue backend implements, plus the logic they all share:
+ * building items, retry bookkeeping, failed-item replay and open-event reconciliation.
+ *
+ * A claim is `{ raw, item, consumerId, ... }`; backends may add their own fields
+ * (a stream entry id, a row id) that ackItem/failItem/extendLease need later.
+ */
+class QueueBackend {
+    constructor(backendName) {
+        this.backendName = backendName;
+        this.isConnected = false;
+        // Highest priority first; each level is consumed in FIFO order
+        this.priorityLevels = [5, 4, 3, 2, 1];
+        this.retryPolicy = retryPolicy;
+        this.dedupTtlSeconds = parseInt(process.env.QUEUE_DEDUP_TTL_SECONDS) || 7 * 24 * 60 * 60;
+        this.leaseTimeoutMs = parseInt(process.env.QUEUE_LEASE_TIMEOUT_MS) || 60000;
+        this.spool = queueSpool;
+    }
+
+    notImplemented(method) {
+        throw new Error(`${this.constructor.name} does not implement ${method}()`);
+    }
+
+    /** Open the backend; resolves to true when it can be used */
+    async connect() { this.notImplemented('connect'); }
+
+    async disconnect() { this.notImplemented('disconnect'); }
+
+    /** Resolves to { status: 'healthy' | 'unhealthy' | 'disconnected', message } */
+    async healthCheck() { this.notImplemented('healthCheck'); }
+
+    /** Write items whose id has not been enqueued before; resolves to how many were written */
+    async writeQueueItems(queueItems) { this.notImplemented('writeQueueItems'); }
+
+    /** Dequeue: take the oldest item of the highest non-empty priority, or resolve to null */
+    async claimNextItem(consumerId) { this.notImplemented('claimNextItem'); }
+
+    /** Keep a claim alive while its handler is still running */
+    async extendLease(claim) { this.notImplemented('extendLease'); }
+
+    /** Remove a successfully handled item */
+    async ackItem(claim) { this.notImplemented('ackItem'); }
+
+    /** Schedule a retry or move the item to the failed store; see prepareFailure() */
+    async failItem(claim, error) { this.notImplemented('failItem'); }
+
+    /** Move delayed retries whose backoff has elapsed back to pending; resolves to the count */
+    async promoteDueItems() { this.notImplemented('promoteDueItems'); }
+
+    /** Return items whose claim expired (their consumer crashed) to pending; resolves to the count */
+    async recoverStaleItems(consumerId) { this.notImplemented('recoverStaleItems'); }
+
+    /** Failed items newest first, as [{ raw, item, ... }] */
+    async listFailedItems(filter = {}) { this.notImplemented('listFailedItems'); }
+
+    /** Replace a failed entry with replayItem in pending; resolves to 1 if this call moved it */
+    async moveReplayedItem(entry, replayItem) { this.notImplemented('moveReplayedItem'); }
+
+    /** Delete a failed entry; resolves to 1 if this call removed it */
+    async removeFailedEntry(entry) { this.notImplemented('removeFailedEntry'); }
+
+    /** Open-event entries for the given fields, as a Map of field -> entry */
+    async readOpenEvents(fields) { this.notImplemented('readOpenEvents'); }
+
+    /** Persist a reconciliation once its new events are safely queued */
+    async commitOpenEvents(reconciliation) { this.notImplemented('commitOpenEvents'); }
+
+    async getOpenEventCount() { this.notImplemented('getOpenEventCount'); }
+
+    async getQueueLengthByPriority() { this.notImplemented('getQueueLengthByPriority'); }
+
+    async getProcessingQueueLength() { this.notImplemented('getProcessingQueueLength'); }
+
+    async getDelayedQueueLength() { this.notImplemented('getDelayedQueueLength'); }
+
+    async getFailedQueueLength() { this.notImplemented('getFailedQueueLength'); }
+
+    /** Purge pending items, either one priority level or all of them */
+    async clearPendingQueues(priority = null) { this.notImplemented('clearPendingQueues'); }
+
+    async clearAllQueues() { this.notImplemented('clearAllQueues'); }
+
+    /**
+     * Build a queue item. When the origin (workflow run, activity) is known the id is derived
+     * from the run, the wallet and its events, but not the activity: a retried activity, or a
+     * partition run again by a later pass under a new activity id, produces exactly the same ids.
+     */
+    buildQueueItem(event, workerId, origin = null) {
+        const id = origin
+            ? crypto.createHash('sha1')
+                .update([origin.workflowId, origin.runId, event.wallet_name, ...[...event.events].sort()].join('|'))
+                .digest('hex')
+            : `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+        return {
+            id,
+            wallet_name: event.wallet_name,
+            events: event.events,
+            ...(event.flag_versions && { flag_versions: event.flag_versions }),
+            worker_id: workerId,
+            ...(origin && {
+                workflow_id: origin.workflowId,
+                run_id: origin.runId,
+                activity_id: origin.activityId
+            }),
+            timestamp: new Date().toISOString(),
+            priority: this.calculatePriority(event.events),
+            retry_count: 0
+        };
+    }
+
+    async addEventToQueue(event, workerId, origin = null) {
+        return this.addEventsToQueue([event], workerId, origin);
+    }
+
+    /**
+     * Enqueue events idempotently: an item whose id was already written is skipped,
+     * so activity retries and worker crashes never duplicate work downstream.
+     * Items that cannot be written are spooled to disk and replayed later;
+     * resolves to true when every item was either queued or spooled.
+     */
+    async addEventsToQueue(events, workerId, origin = null) {
+        const queueItems = events.map(event => this.buildQueueItem(event, workerId, origin));
+
+        if (!this.isConnected) {
+            console.error(`❌ ${this.backendName} not connected, spooling events to disk`);
+            return this.spoolItems(queueItems, workerId);
+        }
+
+        try {
+            // Earlier spooled items go first; while they cannot be replayed new items queue up behind them
+            if (this.spool.hasItems()) {
+                const { remaining } = await this.replaySpool();
+                if (remaining > 0) {
+                    return this.spoolItems(queueItems, workerId);
+                }
+            }
+
+            console.log(`📥 [Worker ${workerId}] Adding ${events.length} events to queue...`);
+
+            // Add all events to queue
+            const added = await this.writeQueueItems(queueItems);
+            const skipped = queueItems.length - added;
+
+            if (skipped > 0) {
+                console.log(`⏭️  [Worker ${workerId}] Skipped ${skipped} events that were already queued`);
+            }
+            console.log(`✅ [Worker ${workerId}] Successfully added ${added} events to queue`);
+            return true;
+        } catch (error) {
+            console.error(`❌ [Worker ${workerId}] Failed to add events to queue:`, error);
+            return this.spoolItems(queueItems, workerId);
+        }
+    }
+
+    /**
+     * Last resort when the backend cannot take items: keep them in the on-disk spool,
+     * or only log them if even that fails
+     */
+    spoolItems(queueItems, workerId) {
+        try {
+            this.spool.append(queueItems);
+            console.log(`💾 [Worker ${workerId}] Spooled ${queueItems.length} events to ${this.spool.spoolPath}`);
+            return true;
+        } catch (error) {
+            console.error(`❌ [Worker ${workerId}] Failed to spool events, falling back to logging:`, error);
+            queueItems.forEach(item => {
+                console.log(`  [Worker ${workerId}] Wallet: ${item.wallet_name}, Events: [${item.events.join(', ')}]`);
+            });
+            return false;
+        }
+    }
+
+    /**
+     * Replay spooled items once the backend reports healthy; resolves to { replayed, skipped, remaining }
+     */
+    async replaySpool() {
+        try {
+            return await this.spool.replay(this);
+        } catch (error) {
+            console.error('❌ Failed to replay the queue spool:', error);
+            return { replayed: 0, skipped: 0, remaining: this.spool.getDepth() };
+        }
+    }
+
+    /**
+     * Add the failed attempt to the item's error history and decide, via the retry policy,
+     * whether it is retried (with next_attempt_at set) or exhausted
+     */
+    prepareFailure(claim, error) {
+        const attempts = (claim.item.retry_count || 0) + 1;
+        const errorEntry = {
+            attempt: attempts,
+            message: error?.message || String(error),
+            consumer_id: claim.consumerId,
+            failed_at: new Date().toISOString()
+        };
+        const failedItem = {
+            ...claim.item,
+            retry_count: attempts,
+            error: errorEntry,
+            errors: [...(claim.item.errors || []), errorEntry]
+        };
+
+        const retrying = this.retryPolicy.shouldRetry(attempts);
+        const delayMs = retrying ? this.retryPolicy.getDelayMs(attempts) : 0;
+
+        if (retrying) {
+            failedItem.next_attempt_at = new Date(Date.now() + delayMs).toISOString();
+        } else {
+            failedItem.exhausted_at = errorEntry.failed_at;
+        }
+
+        return { failedItem, retrying, attempts, delayMs };
+    }
+
+    /**
+     * Parse a claimed payload; throws when it is not a JSON object
+     */
+    parseQueueItem(raw) {
+        const item = JSON.parse(raw);
+        if (!item || typeof item !== 'object' || Array.isArray(item)) {
+            throw new Error('queue item is not a JSON object');
+        }
+        return item;
+    }
+
+    /**
+     * Failed-store entry for a claimed payload that cannot be parsed. It is not retried, as no
+     * attempt could parse it; the payload is kept as `malformed` for inspection.
+     */
+    prepareMalformedFailure(raw, error, consumerId) {
+        const failedAt = new Date().toISOString();
+        const errorEntry = {
+            attempt: 1,
+            message: `Malformed queue item: ${error.message}`,
+            consumer_id: consumerId,
+            failed_at: failedAt
+        };
+
+        return {
+            id: `malformed-${crypto.createHash('sha1').update(String(raw)).digest('hex')}`,
+            malformed: String(raw),
+            retry_count: 1,
+            error: errorEntry,
+            errors: [errorEntry],
+            exhausted_at: failedAt
+        };
+    }
+
+    /**
+     * Parse a failed-store entry. An unparsable entry is listed as a malformed item, so it can be
+     * inspected and purged, and does not hide the other entries.
+     */
+    parseFailedEntry(raw) {
+        try {
+            return this.parseQueueItem(raw);
+        } catch (error) {
+            console.error(`❌ Unparsable entry in the failed store: ${error.message}`);
+            return this.prepareMalformedFailure(raw, error, null);
+        }
+    }
+
+    /**
+     * Put failed items back into the pending queue with a fresh retry budget.
+     * The error history is kept so repeated failures stay visible. Malformed items stay failed.
+     */
+    async replayFailedItems(filter = {}) {
+        const entries = await this.listFailedItems(filter);
+        let replayed = 0;
+
+        for (const entry of entries) {
+            if (entry.item.malformed !== undefined) {
+                console.log(`⏭️  Not replaying malformed item ${entry.item.id}`);
+                continue;
+            }
+
+            const { error, exhausted_at, next_attempt_at, ...rest } = entry.item;
+            const replayItem = {
+                ...rest,
+                retry_count: 0,
+                replayed_at: new Date().toISOString()
+            };
+
+            try {
+                if (await this.moveReplayedItem(entry, replayItem) === 1) {
+                    replayed++;
+                }
+            } catch (replayError) {
+                console.error(`❌ Failed to replay ${entry.item.id}:`, replayError);
+            }
+        }
+
+        return replayed;
+    }
+
+    async purgeFailedItems(filter = {}) {
+        const entries = await this.listFailedItems(filter);
+        let purged = 0;
+
+        for (const entry of entries) {
+            try {
+                purged += await this.removeFailedEntry(entry);
+            } catch (purgeError) {
+                console.error(`❌ Failed to purge ${entry.item.id}:`, purgeError);
+            }
+        }
+
+        return purged;
+    }
+
+    matchesFilter(item, filter) {
+        if (filter.id && item.id !== filter.id) return false;
+        if (filter.wallet && item.wallet_name !== filter.wallet) return false;
+        if (filter.event && !(item.events || []).includes(filter.event)) return false;
+        return true;
+    }
+
+    async getQueueLength() {
+        const byPriority = await this.getQueueLengthByPriority();
+        return Object.values(byPriority).reduce((sum, length) => sum + length, 0);
+    }
+
+    getEmptyQueueStats() {
+        return {
+            pending: 0,
+            pendingByPriority: Object.fromEntries(this.priorityLevels.map(priority => [priority, 0])),
+            processing: 0,
+            delayed: 0,
+            failed: 0,
+            total: 0,
+            spooled: this.spool.getDepth()
+        };
+    }
+
+    async getQueueStats() {
+        const emptyStats = this.getEmptyQueueStats();
+
+        if (!this.isConnected) {
+            return emptyStats;
+        }
+
+        try {
+            const [pendingByPriority, processing, delayed, failed] = await Promise.all([
+                this.getQueueLengthByPriority(),
+                this.getProcessingQueueLength(),
+                this.getDelayedQueueLength(),
+                this.getFailedQueueLength()
+            ]);
+            const pending = Object.values(pendingByPriority).reduce((sum, length) => sum + length, 0);
+
+            return {
+                pending,
+                pendingByPriority,
+                processing,
+                delayed,
+                failed,
+                total: pending + processing + delayed + failed,
+                spooled: emptyStats.spooled
+            };
+        } catch (error) {
+            console.error('❌ Failed to get queue stats:', error);
+            return emptyStats;
+        }
+    }
+
+    /**
+     * An item takes the highest priority of its events, as set by their audit rules
+     */
+    calculatePriority(events) {
+        const maxPriority = Math.max(...events.map(event => getEventPriority(event)));
+        return maxPriority;
+    }
+
+    getOpenEventField(walletName, eventType) {
+        return `${walletName}|${eventType}`;
+    }
+
+    /**
+     * Stop tracking an event as open, so the next scan that still sees it queues it again
+     */
+    async forgetOpenEvent(walletName, eventType) {
+        return this.commitOpenEvents({
+            tracked: true,
+            updates: [],
+            resolved: [this.getOpenEventField(walletName, eventType)]
+        });
+    }
+
+    /**
+     * Compare the events seen in this scan with the open-event entries of the same wallets.
+     * Only events that were not open yet are returned as new; repeat sightings and events whose
+     * flag has cleared are collected as updates, written later by commitOpenEvents().
+     * Every scanned wallet must be passed in, including those without events, so resolutions are seen.
+     * Only the given event types are compared; by default every event type of the audit rules.
+     */
+    async reconcileOpenEvents(observations, eventTypes = getEventTypes()) {
+        if (!this.isConnected) {
+            return this.untrackedReconciliation(observations);
+        }
+
+        const fields = [];
+        observations.forEach(observation => {
+            eventTypes.forEach(eventType => fields.push(this.getOpenEventField(observation.wallet_name, eventType)));
+        });
+
+        let openEntries;
+        try {
+            openEntries = fields.length > 0 ? await this.readOpenEvents(fields) : new Map();
+        } catch (error) {
+            console.error('❌ Failed to read open event tracking:', error);
+            return this.untrackedReconciliation(observations);
+        }
+
+        const now = new Date().toISOString();
+        const newEvents = [];
+        const updates = [];
+        const resolved = [];
+        let newCount = 0;
+        let stillOpenCount = 0;
+
+        observations.forEach(observation => {
+            const walletNewEvents = [];
+
+            eventTypes.forEach(eventType => {
+                const field = this.getOpenEventField(observation.wallet_name, eventType);
+                const entry = openEntries.get(field);
+                const seen = observation.events.includes(eventType);
+
+                if (seen && entry) {
+                    stillOpenCount++;
+                    updates.push({ field, entry: { ...entry, last_seen: now, seen_count: entry.seen_count + 1 } });
+                } else if (seen) {
+                    newCount++;
+                    walletNewEvents.push(eventType);
+                    updates.push({
+                        field,
+                        entry: {
+                            wallet_name: observation.wallet_name,
+                            event_type: eventType,
+                            first_seen: now,
+                            last_seen: now,
+                            seen_count: 1
+                        }
+                    });
+                } else if (entry) {
+                    resolved.push(field);
+                }
+            });
+
+            if (walletNewEvents.length > 0) {
+                newEvents.push({ ...observation, events: walletNewEvents });
+            }
+        });
+
+        return {
+            tracked: true,
+            newEvents,
+            newCount,
+            stillOpenCount,
+            resolvedCount: resolved.length,
+            updates,
+            resolved
+        };
+    }
+
+    /**
+     * Without tracking every sighting counts as new
+     */
+    untrackedReconciliation(observations) {
+        const newEvents = observations.filter(observation => observation.events.length > 0);
+
+        return {
+            tracked: false,
+            newEvents,
+            newCount: newEvents.reduce((sum, observation) => sum + observation.events.length, 0),
+            stillOpenCount: 0,
+            resolvedCount: 0,
+            updates: [],
+            resolved: []
+        };
+    }
+}
+
+module.exports = {
+    QueueBackend
+};
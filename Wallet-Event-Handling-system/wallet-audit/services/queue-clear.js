@@ -1,45 +1,71 @@
-const { redisQueueService } = require('./redis-queue');
+const { queueService } = require('./queue-service');
 
-async function clearAllQueues() {
-    console.log('🧹 Clearing all wallet audit queues...');
+function printStats(stats) {
+    console.log(`  📥 Pending: ${stats.pending ?? 'unknown'}`);
+    Object.keys(stats.pendingByPriority).sort((a, b) => b - a).forEach(priority => {
+        console.log(`     P${priority}: ${stats.pendingByPriority[priority] ?? 'unknown'}`);
+    });
+    console.log(`  ⚙️  Processing: ${stats.processing}`);
+    console.log(`  🔁 Retrying: ${stats.delayed}`);
+    console.log(`  ❌ Failed: ${stats.failed}`);
+}
+
+async function clearAllQueues(priority = null) {
+    if (priority === null) {
+        console.log('🧹 Clearing all wallet audit queues...');
+    } else {
+        console.log(`🧹 Clearing pending wallet audit events with priority ${priority}...`);
+    }
     
     try {
-        const connected = await redisQueueService.connect();
+        const connected = await queueService.connect();
         if (!connected) {
-            console.error('❌ Failed to connect to Redis');
+            console.error(`❌ Failed to connect to ${queueService.backendName}`);
             process.exit(1);
         }
 
-        const stats = await redisQueueService.getQueueStats();
+        const stats = await queueService.getQueueStats();
         console.log('📊 Current queue status:');
-        console.log(`  📥 Pending: ${stats.pending}`);
-        console.log(`  ⚙️  Processing: ${stats.processing}`);
-        console.log(`  ❌ Failed: ${stats.failed}`);
+        printStats(stats);
         console.log('');
 
+        if (priority !== null) {
+            if (!await queueService.clearPendingQueues(priority)) {
+                console.error(`❌ Failed to clear the priority ${priority} queue`);
+                await queueService.disconnect();
+                process.exit(1);
+            }
+            console.log(`✅ Priority ${priority} queue cleared successfully`);
+
+            const newStats = await queueService.getQueueStats();
+            console.log('📊 Queue status after clearing:');
+            printStats(newStats);
+
+            await queueService.disconnect();
+            return;
+        }
+
         if (stats.total === 0) {
             console.log('✅ All queues are already empty');
-            await redisQueueService.disconnect();
+            await queueService.disconnect();
             return;
         }
 
         // Clear all queues
-        await Promise.all([
-            redisQueueService.clearQueue('wallet_audit_events'),
-            redisQueueService.clearQueue('wallet_audit_processing'),
-            redisQueueService.clearQueue('wallet_audit_failed')
-        ]);
+        if (!await queueService.clearAllQueues()) {
+            console.error('❌ Some queues could not be cleared');
+            await queueService.disconnect();
+            process.exit(1);
+        }
 
         console.log('✅ All queues cleared successfully');
         
         // Verify queues are empty
-        const newStats = await redisQueueService.getQueueStats();
+        const newStats = await queueService.getQueueStats();
         console.log('📊 Queue status after clearing:');
-        console.log(`  📥 Pending: ${newStats.pending}`);
-        console.log(`  ⚙️  Processing: ${newStats.processing}`);
-        console.log(`  ❌ Failed: ${newStats.failed}`);
+        printStats(newStats);
 
-        await redisQueueService.disconnect();
+        await queueService.disconnect();
         
     } catch (error) {
         console.error('❌ Failed to clear queues:', error);
@@ -49,7 +75,19 @@ async function clearAllQueues() {
 
 // Run if called directly
 if (require.main === module) {
-    clearAllQueues();
+    const priorityIndex = process.argv.indexOf('--priority');
+    let priority = null;
+
+    if (priorityIndex !== -1) {
+        priority = parseInt(process.argv[priorityIndex + 1]);
+        if (isNaN(priority) || !queueService.priorityLevels.includes(priority)) {
+            console.error(`❌ Priority must be one of: ${queueService.priorityLevels.join(', ')}`);
+            console.error('Usage: node wallet-audit/services/queue-clear.js [--priority <level>]');
+            process.exit(1);
+        }
+    }
+
+    clearAllQueues(priority);
 }
 
 module.exports = { clearAllQueues }; 
\ No newline at end of file
@@ -0,0 +1,185 @@
+const os = require('os');
+const { queueService } = require('./queue-service');
+
+class QueueConsumer {
+    constructor(options = {}) {
+        this.consumerId = options.consumerId || `consumer-${os.hostname()}-${process.pid}`;
+        this.pollIntervalMs = options.pollIntervalMs || 1000;
+        this.recoveryIntervalMs = options.recoveryIntervalMs || 30000;
+        this.running = false;
+        this.recoveryInterval = null;
+        this.promoteInterval = null;
+        this.loopPromise = null;
+        this.stats = {
+            processed: 0,
+            ackFailed: 0,
+            failed: 0,
+            retried: 0,
+            recovered: 0,
+            unspooled: 0
+        };
+    }
+
+    async start(handler) {
+        if (this.running) {
+            console.log('⚠️  Queue consumer is already running');
+            return;
+        }
+
+        console.log(`🚀 Starting queue consumer ${this.consumerId}...`);
+
+        const connected = await queueService.connect();
+        if (!connected) {
+            console.error(`❌ Failed to connect to ${queueService.backendName}, cannot start consumer`);
+            return;
+        }
+
+        this.running = true;
+
+        // Pick up anything a crashed consumer left behind, or a worker spooled during an outage, before taking new work
+        await this.recover();
+        this.recoveryInterval = setInterval(async () => {
+            await this.recover();
+        }, this.recoveryIntervalMs);
+
+        // Delayed retries re-enter the pending queue once their backoff has elapsed
+        this.promoteInterval = setInterval(async () => {
+            await queueService.promoteDueItems();
+        }, this.pollIntervalMs);
+
+        console.log(`✅ Queue consumer ${this.consumerId} started (poll interval: ${this.pollIntervalMs}ms)`);
+
+        this.loopPromise = this.runLoop(handler);
+        await this.loopPromise;
+    }
+
+    async recover() {
+        this.stats.recovered += await queueService.recoverStaleItems(this.consumerId);
+        if (queueService.spool.hasItems()) {
+            const { replayed } = await queueService.replaySpool();
+            this.stats.unspooled += replayed;
+        }
+    }
+
+    async runLoop(handler) {
+        while (this.running) {
+            const handled = await this.processNext(handler);
+            if (!handled) {
+                await new Promise(resolve => setTimeout(resolve, this.pollIntervalMs));
+            }
+        }
+    }
+
+    /**
+     * Claim one item, run the handler on it and ack or fail it.
+     * Returns false when the queue was empty.
+     */
+    async processNext(handler) {
+        const claim = await queueService.claimNextItem(this.consumerId);
+        if (!claim) {
+            return false;
+        }
+
+        await this.handleClaim(claim, handler);
+        return true;
+    }
+
+    /**
+     * Run the handler on a claimed item, renewing its lease meanwhile, then ack or fail it.
+     * Returns whether the handler succeeded. An item whose ack failed stays claimed and is
+     * redelivered once its lease expires, so the handler must tolerate running again.
+     */
+    async handleClaim(claim, handler) {
+        const { item } = claim;
+        const leaseRenewal = setInterval(() => {
+            queueService.extendLease(claim);
+        }, Math.max(Math.floor(queueService.leaseTimeoutMs / 3), 1000));
+
+        try {
+            await handler(item, claim);
+            if (!await queueService.ackItem(claim)) {
+                this.stats.ackFailed++;
+                console.warn(`⚠️  [Consumer ${this.consumerId}] Handled ${item.wallet_name} but could not ack it, it will be redelivered`);
+                return true;
+            }
+            this.stats.processed++;
+            console.log(`✅ [Consumer ${this.consumerId}] Processed ${item.wallet_name} [${item.events.join(', ')}]`);
+            return true;
+        } catch (error) {
+            const outcome = await queueService.failItem(claim, error);
+            if (outcome && outcome.retrying) {
+                this.stats.retried++;
+                console.warn(`🔁 [Consumer ${this.consumerId}] Attempt ${outcome.attempts} failed for ${item.wallet_name}, retrying in ${outcome.delayMs}ms: ${error.message}`);
+            } else {
+                this.stats.failed++;
+                console.error(`❌ [Consumer ${this.consumerId}] Failed ${item.wallet_name}: ${error.message}`);
+            }
+            return false;
+        } finally {
+            clearInterval(leaseRenewal);
+        }
+    }
+
+    async stop() {
+        if (!this.running) {
+            return;
+        }
+
+        console.log(`🛑 Stopping queue consumer ${this.consumerId}...`);
+        this.running = false;
+
+        if (this.recoveryInterval) {
+            clearInterval(this.recoveryInterval);
+            this.recoveryInterval = null;
+        }
+
+        if (this.promoteInterval) {
+            clearInterval(this.promoteInterval);
+            this.promoteInterval = null;
+        }
+
+        // Let the in-flight item finish so it is acked or failed, not orphaned
+        if (this.loopPromise) {
+            await this.loopPromise;
+        }
+
+        await queueService.disconnect();
+
+        console.log(`✅ Queue consumer stopped (processed: ${this.stats.processed}, ack failed: ${this.stats.ackFailed}, retried: ${this.stats.retried}, failed: ${this.stats.failed}, recovered: ${this.stats.recovered}, unspooled: ${this.stats.unspooled})`);
+    }
+}
+
+/**
+ * Handler that only logs items, for running the consumer without Temporal (--log)
+ */
+async function logEventHandler(item) {
+    console.log(`📤 Handling ${item.wallet_name}: [${item.events.join(', ')}] (priority ${item.priority})`);
+}
+
+// Allow running from command line
+if (require.main === module) {
+    const queueConsumer = new QueueConsumer();
+    // Start each event's handler workflow unless asked to only log items
+    const handler = process.argv.includes('--log')
+        ? logEventHandler
+        : require('./event-workflow-starter').startEventWorkflowsHandler;
+
+    const shutdown = async (signal) => {
+        console.log(`\n🛑 Received ${signal}, shutting down gracefully...`);
+        await queueConsumer.stop();
+        process.exit(0);
+    };
+
+    process.on('SIGINT', () => shutdown('SIGINT'));
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+    queueConsumer.start(handler).catch((error) => {
+        console.error('❌ Queue consumer error:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    QueueConsumer,
+    logEventHandler
+};
@@ -0,0 +1,111 @@
+const { queueService } = require('./queue-service');
+
+/**
+ * Parse --id, --wallet and --event options into a failed-item filter
+ */
+function parseFilter(args) {
+    const filter = {};
+    const options = { '--id': 'id', '--wallet': 'wallet', '--event': 'event' };
+
+    for (let i = 0; i < args.length; i++) {
+        const key = options[args[i]];
+        if (key && args[i + 1]) {
+            filter[key] = args[i + 1];
+            i++;
+        }
+    }
+
+    return filter;
+}
+
+function describeFilter(filter) {
+    const parts = Object.entries(filter).map(([key, value]) => `${key}=${value}`);
+    return parts.length > 0 ? parts.join(', ') : 'all items';
+}
+
+async function listFailed(filter) {
+    const entries = await queueService.listFailedItems(filter);
+
+    console.log(`❌ Failed queue items (${describeFilter(filter)}): ${entries.length}`);
+    entries.forEach(({ item }) => {
+        console.log('');
+        console.log(`  🆔 ${item.id}`);
+        if (item.malformed !== undefined) {
+            console.log(`  ⚠️  Malformed payload: ${item.malformed}`);
+        } else {
+            console.log(`  💳 ${item.wallet_name}: [${item.events.join(', ')}] (priority ${item.priority})`);
+        }
+        console.log(`  🔢 Attempts: ${item.retry_count}`);
+        (item.errors || (item.error ? [item.error] : [])).forEach(entry => {
+            console.log(`     ${entry.failed_at} #${entry.attempt || '?'} ${entry.message}`);
+        });
+    });
+}
+
+async function replayFailed(filter) {
+    const replayed = await queueService.replayFailedItems(filter);
+    console.log(`🔁 Replayed ${replayed} failed items (${describeFilter(filter)}) back to the pending queue`);
+}
+
+async function purgeFailed(filter) {
+    const purged = await queueService.purgeFailedItems(filter);
+    console.log(`🧹 Purged ${purged} failed items (${describeFilter(filter)})`);
+}
+
+// Allow running from command line
+if (require.main === module) {
+    const command = process.argv[2];
+    const filter = parseFilter(process.argv.slice(3));
+
+    async function main() {
+        try {
+            const connected = await queueService.connect();
+            if (!connected) {
+                console.error(`❌ Failed to connect to ${queueService.backendName}`);
+                process.exit(1);
+            }
+
+            switch (command) {
+                case 'list':
+                    await listFailed(filter);
+                    break;
+
+                case 'replay':
+                    await replayFailed(filter);
+                    break;
+
+                case 'purge':
+                    await purgeFailed(filter);
+                    break;
+
+                default:
+                    console.log('❌ Wallet Audit Failed Queue');
+                    console.log('==========================');
+                    console.log('');
+                    console.log('Usage:');
+                    console.log('  node wallet-audit/services/queue-failed.js list   [--id <id>|--wallet <name>|--event <type>]');
+                    console.log('  node wallet-audit/services/queue-failed.js replay [--id <id>|--wallet <name>|--event <type>]');
+                    console.log('  node wallet-audit/services/queue-failed.js purge  [--id <id>|--wallet <name>|--event <type>]');
+                    console.log('');
+                    console.log('Or use npm scripts:');
+                    console.log('  npm run queue:failed list');
+                    console.log('  npm run queue:failed -- replay --wallet wallet_001');
+                    console.log('  npm run queue:failed purge');
+            }
+
+            await queueService.disconnect();
+        } catch (error) {
+            console.error('❌ Error:', error);
+            process.exit(1);
+        }
+    }
+
+    main();
+}
+
+module.exports = {
+    listFailed,
+    replayFailed,
+    purgeFailed,
+    parseFilter
+};
@@ -1,4 +1,9 @@
-const { redisQueueService } = require('./redis-queue');
+const { queueBackend, queueService } = require('./queue-service');
+
+// Counts the backend could not compute (a stream's backlog) are null
+function formatCount(count) {
+    return (count === null ? 'unknown' : count.toString()).padStart(6);
+}
 
 class QueueMonitor {
     constructor() {
@@ -16,10 +21,10 @@ class QueueMonitor {
 
         console.log('🔍 Starting queue monitoring...');
         
-        // Connect to Redis first
-        const connected = await redisQueueService.connect();
+        // Connect to the queue backend first
+        const connected = await queueService.connect();
         if (!connected) {
-            console.error('❌ Failed to connect to Redis, cannot start monitoring');
+            console.error(`❌ Failed to connect to ${queueService.backendName}, cannot start monitoring`);
             return;
         }
 
@@ -49,15 +54,15 @@ class QueueMonitor {
         }
         
         this.monitoring = false;
-        await redisQueueService.disconnect();
+        await queueService.disconnect();
         
         console.log('✅ Queue monitoring stopped');
     }
 
     async updateStats() {
         try {
-            const stats = await redisQueueService.getQueueStats();
-            const health = await redisQueueService.healthCheck();
+            const stats = await queueService.getQueueStats();
+            const health = await queueService.healthCheck();
             
             const statRecord = {
                 timestamp: new Date().toISOString(),
@@ -86,37 +91,64 @@ class QueueMonitor {
         console.log('📊 WALLET AUDIT QUEUE MONITOR');
         console.log('================================');
         console.log(`⏰ Last Updated: ${timestamp}`);
-        console.log(`🔗 Redis Status: ${health.status.toUpperCase()}`);
+        console.log(`🔗 Queue Status: ${health.status.toUpperCase()}`);
+        console.log(`🗄️  Queue Backend: ${queueBackend}`);
         console.log('');
         
         console.log('📈 QUEUE STATISTICS:');
-        console.log(`  📥 Pending:     ${stats.pending.toString().padStart(6)}`);
+        console.log(`  📥 Pending:     ${formatCount(stats.pending)}`);
+        Object.keys(stats.pendingByPriority).sort((a, b) => b - a).forEach(priority => {
+            console.log(`     P${priority}:          ${formatCount(stats.pendingByPriority[priority])}`);
+        });
         console.log(`  ⚙️  Processing:   ${stats.processing.toString().padStart(6)}`);
+        console.log(`  🔁 Retrying:     ${stats.delayed.toString().padStart(6)}`);
         console.log(`  ❌ Failed:       ${stats.failed.toString().padStart(6)}`);
-        console.log(`  📊 Total:        ${stats.total.toString().padStart(6)}`);
+        console.log(`  📊 Total:        ${formatCount(stats.total)}`);
+        console.log(`  💾 Spooled:      ${stats.spooled.toString().padStart(6)}`);
         console.log('');
+
+        if (stats.streams) {
+            this.displayStreams(stats.streams);
+        }
         
         if (this.statsHistory.length > 1) {
             this.displayTrends();
         }
         
         console.log('💡 Commands:');
+        console.log('  - npm run queue:consume (process pending items)');
+        console.log('  - npm run queue:failed list (inspect failed items)');
+        console.log('  - npm run queue:spool flush (replay events spooled during an outage)');
         console.log('  - npm run queue:clear (clear all queues)');
+        console.log('  - npm run queue:clear -- --priority <N> (clear one priority level)');
         console.log('  - Ctrl+C (stop monitoring)');
         console.log('');
     }
 
+    displayStreams(streams) {
+        console.log('🌊 STREAMS (consumer group):');
+        Object.entries(streams).forEach(([name, stream]) => {
+            const lag = stream.lag === null ? 'unknown' : stream.lag;
+            console.log(`  ${name}: length ${stream.length}, lag ${lag}, pending ${stream.pending}`);
+            Object.entries(stream.consumers).forEach(([consumer, pending]) => {
+                console.log(`     👤 ${consumer}: ${pending} pending`);
+            });
+        });
+        console.log('');
+    }
+
     displayTrends() {
         const recent = this.statsHistory.slice(-5);
         const oldest = recent[0];
         const newest = recent[recent.length - 1];
         
-        const pendingChange = newest.pending - oldest.pending;
+        // The streams backend cannot always count its pending entries
+        const pendingChange = newest.pending === null || oldest.pending === null ? null : newest.pending - oldest.pending;
         const processingChange = newest.processing - oldest.processing;
         const failedChange = newest.failed - oldest.failed;
         
         console.log('📈 TRENDS (last 5 updates):');
-        console.log(`  📥 Pending:     ${pendingChange >= 0 ? '+' : ''}${pendingChange}`);
+        console.log(`  📥 Pending:     ${pendingChange === null ? 'unknown' : `${pendingChange >= 0 ? '+' : ''}${pendingChange}`}`);
         console.log(`  ⚙️  Processing:   ${processingChange >= 0 ? '+' : ''}${processingChange}`);
         console.log(`  ❌ Failed:       ${failedChange >= 0 ? '+' : ''}${failedChange}`);
         console.log('');
@@ -129,6 +161,10 @@ class QueueMonitor {
         if (newest.failed > 10) {
             console.log('🚨 ALERT: High failed queue (>10 items)');
         }
+
+        if (newest.spooled > 0) {
+            console.log(`⚠️  ALERT: ${newest.spooled} events spooled on disk, waiting for the queue backend`);
+        }
     }
 
     async getStatsHistory() {
@@ -138,18 +174,14 @@ class QueueMonitor {
     async clearAllQueues() {
         console.log('🧹 Clearing all queues...');
         
-        const connected = await redisQueueService.connect();
+        const connected = await queueService.connect();
         if (!connected) {
-            console.error('❌ Failed to connect to Redis');
+            console.error(`❌ Failed to connect to ${queueService.backendName}`);
             return false;
         }
 
         try {
-            await Promise.all([
-                redisQueueService.clearQueue('wallet_audit_events'),
-                redisQueueService.clearQueue('wallet_audit_processing'),
-                redisQueueService.clearQueue('wallet_audit_failed')
-            ]);
+            await queueService.clearAllQueues();
             
             console.log('✅ All queues cleared successfully');
             return true;
@@ -157,7 +189,7 @@ class QueueMonitor {
             console.error('❌ Failed to clear queues:', error);
             return false;
         } finally {
-            await redisQueueService.disconnect();
+            await queueService.disconnect();
         }
     }
 }
@@ -194,13 +226,13 @@ if (require.main === module) {
                     break;
                     
                 case 'stats':
-                    await redisQueueService.connect();
-                    const stats = await redisQueueService.getQueueStats();
-                    const health = await redisQueueService.healthCheck();
+                    await queueService.connect();
+                    const stats = await queueService.getQueueStats();
+                    const health = await queueService.healthCheck();
                     console.log('📊 Current Queue Stats:');
                     console.log(JSON.stringify(stats, null, 2));
-                    console.log('🔗 Redis Health:', health);
-                    await redisQueueService.disconnect();
+                    console.log('🔗 Queue Health:', health);
+                    await queueService.disconnect();
                     break;
                     
                 default:
@@ -0,0 +1,21 @@
+// Queue backends selectable with QUEUE_BACKEND; loaded lazily so only the chosen backend's driver is required
+const queueBackends = {
+    'redis-list': () => require('./redis-queue').redisQueueService,
+    'redis-streams': () => require('./redis-stream-queue').redisStreamQueueService,
+    'sqlite': () => require('./sqlite-queue').sqliteQueueService,
+    'memory': () => require('./memory-queue').memoryQueueService
+};
+
+const queueBackend = process.env.QUEUE_BACKEND || 'redis-list';
+
+if (!queueBackends[queueBackend]) {
+    throw new Error(`Unknown QUEUE_BACKEND "${queueBackend}". Expected one of: ${Object.keys(queueBackends).join(', ')}`);
+}
+
+// The queue service used by activities, consumers and the CLI tools
+const queueService = queueBackends[queueBackend]();
+
+module.exports = {
+    queueBackend,
+    queueService
+};
@@ -0,0 +1,81 @@
+const { queueService } = require('./queue-service');
+
+async function listSpool() {
+    const items = queueService.spool.readItems();
+
+    console.log(`💾 Spooled queue items (${queueService.spool.spoolPath}): ${items.length}`);
+    items.forEach(item => {
+        console.log('');
+        console.log(`  🆔 ${item.id}`);
+        console.log(`  💳 ${item.wallet_name}: [${item.events.join(', ')}] (priority ${item.priority})`);
+        console.log(`  ⏰ Spooled from worker ${item.worker_id} at ${item.timestamp}`);
+    });
+}
+
+async function flushSpool() {
+    const connected = await queueService.connect();
+    if (!connected) {
+        console.error(`❌ Failed to connect to ${queueService.backendName}, spool left untouched`);
+        return false;
+    }
+
+    const { replayed, skipped, remaining } = await queueService.replaySpool();
+    console.log(`📤 Replayed ${replayed} spooled items, skipped ${skipped} duplicates, ${remaining} still spooled`);
+
+    await queueService.disconnect();
+    return remaining === 0;
+}
+
+async function clearSpool() {
+    const cleared = queueService.spool.clear();
+    console.log(`🧹 Discarded ${cleared} spooled items`);
+}
+
+// Allow running from command line
+if (require.main === module) {
+    const command = process.argv[2];
+
+    async function main() {
+        try {
+            switch (command) {
+                case 'list':
+                    await listSpool();
+                    break;
+
+                case 'flush':
+                    if (!await flushSpool()) {
+                        process.exit(1);
+                    }
+                    break;
+
+                case 'clear':
+                    await clearSpool();
+                    break;
+
+                default:
+                    console.log('💾 Wallet Audit Queue Spool');
+                    console.log('==========================');
+                    console.log('');
+                    console.log('Usage:');
+                    console.log('  node wallet-audit/services/queue-spool.js list    (show spooled items)');
+                    console.log('  node wallet-audit/services/queue-spool.js flush   (replay spooled items to the queue now)');
+                    console.log('  node wallet-audit/services/queue-spool.js clear   (discard spooled items)');
+                    console.log('');
+                    console.log('Or use npm scripts:');
+                    console.log('  npm run queue:spool list');
+                    console.log('  npm run queue:spool flush');
+            }
+        } catch (error) {
+            console.error('❌ Error:', error);
+            process.exit(1);
+        }
+    }
+
+    main();
+}
+
+module.exports = {
+    listSpool,
+    flushSpool,
+    clearSpool
+};
@@ -0,0 +1,354 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { QueueConsumer } = require('./queue-consumer');
+const { queueService } = require('./queue-service');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'rate-limit-manager.json');
+
+/**
+ * Rate Limit Manager: consumes the audit queue and hands items to agents that have room for them.
+ *
+ * Every agent has a capacity (milliseconds of work it may hold at once, 15 minutes by default)
+ * and a cost per event type. An item costs the sum of its events' costs for that agent and goes
+ * to the agent with the most free capacity that can fit it. When all agents are full a new agent
+ * is spawned, up to maxAgents; beyond that the manager waits for capacity before taking more work.
+ * The current allocation is written to a state file for `npm run rlm:status`.
+ */
+class RateLimitManager extends QueueConsumer {
+    constructor(options = {}) {
+        super({
+            consumerId: options.consumerId || `rlm-${os.hostname()}-${process.pid}`,
+            ...options
+        });
+
+        const config = options.config || RateLimitManager.loadConfig(options.configPath);
+        this.agentCapacityMs = config.agentCapacityMs;
+        this.maxAgents = config.maxAgents;
+        this.batchSize = config.batchSize;
+        this.eventCostsMs = config.eventCostsMs;
+        this.simulatedWorkScale = config.simulatedWorkScale;
+        this.statePath = options.statePath || process.env.RLM_STATE_PATH || './database/rlm-state.json';
+
+        this.agents = new Map();
+        config.agents.forEach(agentConfig => this.registerAgent(agentConfig));
+
+        // In-flight dispatches, awaited before the loop ends so nothing is left unacked
+        this.dispatches = new Set();
+        this.heldClaim = null;
+        this.heldLeaseRenewal = null;
+    }
+
+    static loadConfig(configPath = process.env.RLM_CONFIG_PATH || DEFAULT_CONFIG_PATH) {
+        const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+
+        // Unknown event types cost as much as the cheapest known one, so at least one must be known
+        const costs = Object.values(config.eventCostsMs || {});
+        if (costs.length === 0 || !costs.every(cost => Number.isFinite(cost) && cost > 0)) {
+            throw new Error(`${configPath}: "eventCostsMs" must map at least one event type to a positive cost`);
+        }
+
+        return {
+            agentCapacityMs: config.agentCapacityMs || 15 * 60 * 1000,
+            maxAgents: config.maxAgents || 10,
+            batchSize: config.batchSize || 20,
+            simulatedWorkScale: config.simulatedWorkScale ?? 0.001,
+            eventCostsMs: config.eventCostsMs,
+            agents: config.agents || []
+        };
+    }
+
+    registerAgent(agentConfig, spawned = false) {
+        const agent = {
+            id: agentConfig.id,
+            capacityMs: agentConfig.capacityMs || this.agentCapacityMs,
+            eventCostsMs: { ...this.eventCostsMs, ...(agentConfig.eventCostsMs || {}) },
+            spawned,
+            inFlight: new Map(),
+            completed: 0,
+            failed: 0
+        };
+
+        this.agents.set(agent.id, agent);
+        return agent;
+    }
+
+    /**
+     * Add an agent with the default capacity and costs because every existing one is full
+     */
+    spawnAgent() {
+        let number = this.agents.size + 1;
+        while (this.agents.has(`agent-${number}`)) {
+            number++;
+        }
+
+        const agent = this.registerAgent({ id: `agent-${number}` }, true);
+        console.log(`🆕 [RLM] All agents are full, spawned ${agent.id} with ${agent.capacityMs}ms capacity`);
+        return agent;
+    }
+
+    getItemCost(agent, item) {
+        // Unknown event types cost as much as the cheapest known one
+        const fallbackCost = Math.min(...Object.values(agent.eventCostsMs));
+        return item.events.reduce((sum, event) => sum + (agent.eventCostsMs[event] ?? fallbackCost), 0);
+    }
+
+    getUsedCapacity(agent) {
+        let used = 0;
+        agent.inFlight.forEach(work => {
+            used += work.costMs;
+        });
+        return used;
+    }
+
+    getFreeCapacity(agent) {
+        return agent.capacityMs - this.getUsedCapacity(agent);
+    }
+
+    /**
+     * Pick the agent with the most free capacity that fits the item, spawning a new agent when
+     * none fits. Returns null when every agent is full and maxAgents has been reached.
+     */
+    selectAgent(item) {
+        let best = null;
+        let bestFree = -Infinity;
+
+        this.agents.forEach(agent => {
+            const free = this.getFreeCapacity(agent) - this.getItemCost(agent, item);
+            if (free > bestFree) {
+                best = agent;
+                bestFree = free;
+            }
+        });
+
+        if (best && bestFree >= 0) return best;
+        if (this.agents.size < this.maxAgents) return this.spawnAgent();
+        // An item larger than an agent's whole capacity would otherwise wait forever
+        if (best && best.inFlight.size === 0) return best;
+        return null;
+    }
+
+    assign(agent, claim) {
+        agent.inFlight.set(claim.item.id, {
+            claim,
+            costMs: this.getItemCost(agent, claim.item),
+            assignedAt: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Keep a claimed item that no agent has room for until one frees up, renewing its lease meanwhile.
+     * If the manager stops first the lease runs out and stale-item recovery puts it back in the queue.
+     */
+    holdClaim(claim) {
+        this.heldClaim = claim;
+        this.heldLeaseRenewal = setInterval(() => {
+            queueService.extendLease(claim);
+        }, Math.max(Math.floor(queueService.leaseTimeoutMs / 3), 1000));
+    }
+
+    releaseHeldClaim() {
+        const claim = this.heldClaim;
+        clearInterval(this.heldLeaseRenewal);
+        this.heldClaim = null;
+        this.heldLeaseRenewal = null;
+        return claim;
+    }
+
+    /**
+     * Claim up to batchSize items and assign each one to an agent, stopping early once an item
+     * does not fit anywhere. Returns the batch grouped per agent.
+     */
+    async assignBatch() {
+        const batch = new Map();
+        let assigned = 0;
+
+        while (assigned < this.batchSize) {
+            const claim = this.heldClaim ? this.releaseHeldClaim() : await queueService.claimNextItem(this.consumerId);
+            if (!claim) break;
+
+            const agent = this.selectAgent(claim.item);
+            if (!agent) {
+                this.holdClaim(claim);
+                break;
+            }
+
+            this.assign(agent, claim);
+            if (!batch.has(agent.id)) {
+                batch.set(agent.id, []);
+            }
+            batch.get(agent.id).push(claim);
+            assigned++;
+        }
+
+        return batch;
+    }
+
+    async runLoop(dispatcher) {
+        while (this.running) {
+            const batch = await this.assignBatch();
+
+            if (batch.size === 0) {
+                await new Promise(resolve => setTimeout(resolve, this.pollIntervalMs));
+                continue;
+            }
+
+            batch.forEach((claims, agentId) => {
+                const agent = this.agents.get(agentId);
+                console.log(`📦 [RLM] ${agentId} takes ${claims.length} items (${this.getUsedCapacity(agent)}/${agent.capacityMs}ms in flight)`);
+                claims.forEach(claim => this.dispatch(agent, claim, dispatcher));
+            });
+            this.saveState();
+        }
+
+        await Promise.all(this.dispatches);
+        if (this.heldClaim) {
+            this.releaseHeldClaim();
+        }
+        this.saveState();
+    }
+
+    /**
+     * Hand a claimed item to its agent; acked or failed like any consumer once the agent is done
+     */
+    dispatch(agent, claim, dispatcher) {
+        const dispatchPromise = this.handleClaim(claim, (item) => dispatcher(agent, item, claim))
+            .then(succeeded => {
+                if (succeeded) {
+                    agent.completed++;
+                } else {
+                    agent.failed++;
+                }
+            })
+            .finally(() => {
+                agent.inFlight.delete(claim.item.id);
+                this.dispatches.delete(dispatchPromise);
+                this.saveState();
+            });
+
+        this.dispatches.add(dispatchPromise);
+    }
+
+    getAllocation() {
+        return {
+            consumerId: this.consumerId,
+            updatedAt: new Date().toISOString(),
+            agents: [...this.agents.values()].map(agent => ({
+                id: agent.id,
+                spawned: agent.spawned,
+                capacityMs: agent.capacityMs,
+                usedMs: this.getUsedCapacity(agent),
+                freeMs: this.getFreeCapacity(agent),
+                completed: agent.completed,
+                failed: agent.failed,
+                inFlight: [...agent.inFlight.values()].map(({ claim, costMs, assignedAt }) => ({
+                    id: claim.item.id,
+                    wallet_name: claim.item.wallet_name,
+                    events: claim.item.events,
+                    costMs,
+                    assignedAt
+                }))
+            }))
+        };
+    }
+
+    saveState() {
+        try {
+            const tempPath = `${this.statePath}.tmp`;
+            fs.writeFileSync(tempPath, JSON.stringify(this.getAllocation(), null, 2));
+            fs.renameSync(tempPath, this.statePath);
+        } catch (error) {
+            console.error('❌ [RLM] Failed to save allocation state:', error);
+        }
+    }
+
+    static readState(statePath = process.env.RLM_STATE_PATH || './database/rlm-state.json') {
+        if (!fs.existsSync(statePath)) return null;
+        return JSON.parse(fs.readFileSync(statePath, 'utf8'));
+    }
+
+    /**
+     * Default dispatcher used from the command line until real agents are wired in:
+     * logs the assignment and waits for the item's cost, scaled by simulatedWorkScale
+     */
+    simulatedAgentDispatcher() {
+        return async (agent, item) => {
+            const costMs = this.getItemCost(agent, item);
+            console.log(`🕵️  [RLM] ${agent.id} working on ${item.wallet_name}: [${item.events.join(', ')}] (${costMs}ms)`);
+            await new Promise(resolve => setTimeout(resolve, costMs * this.simulatedWorkScale));
+        };
+    }
+}
+
+function printAllocation(state) {
+    if (!state) {
+        console.log('⚠️  No allocation state found; is the Rate Limit Manager running?');
+        return;
+    }
+
+    console.log('🚦 RATE LIMIT MANAGER ALLOCATION');
+    console.log('================================');
+    console.log(`🆔 Manager: ${state.consumerId}`);
+    console.log(`⏰ Last Updated: ${state.updatedAt}`);
+    console.log('');
+
+    state.agents.forEach(agent => {
+        const marker = agent.spawned ? ' (spawned)' : '';
+        console.log(`🕵️  ${agent.id}${marker}: ${agent.usedMs}/${agent.capacityMs}ms in flight, ${agent.freeMs}ms free, ${agent.completed} completed, ${agent.failed} failed`);
+        agent.inFlight.forEach(work => {
+            console.log(`     💳 ${work.wallet_name}: [${work.events.join(', ')}] ${work.costMs}ms since ${work.assignedAt}`);
+        });
+    });
+}
+
+// Allow running from command line
+if (require.main === module) {
+    const command = process.argv[2];
+
+    switch (command) {
+        case 'run': {
+            const rateLimitManager = new RateLimitManager();
+
+            const shutdown = async (signal) => {
+                console.log(`\n🛑 Received ${signal}, shutting down gracefully...`);
+                await rateLimitManager.stop();
+                process.exit(0);
+            };
+
+            process.on('SIGINT', () => shutdown('SIGINT'));
+            process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+            rateLimitManager.start(rateLimitManager.simulatedAgentDispatcher()).catch((error) => {
+                console.error('❌ Rate Limit Manager error:', error);
+                process.exit(1);
+            });
+            break;
+        }
+
+        case 'status':
+            try {
+                printAllocation(RateLimitManager.readState());
+            } catch (error) {
+                console.error('❌ Error:', error);
+                process.exit(1);
+            }
+            break;
+
+        default:
+            console.log('🚦 Wallet Audit Rate Limit Manager');
+            console.log('=================================');
+            console.log('');
+            console.log('Usage:');
+            console.log('  node wallet-audit/services/rate-limit-manager.js run      (consume the queue and dispatch to agents)');
+            console.log('  node wallet-audit/services/rate-limit-manager.js status   (show the current allocation)');
+            console.log('');
+            console.log('Or use npm scripts:');
+            console.log('  npm run rlm:run');
+            console.log('  npm run rlm:status');
+    }
+}
+
+module.exports = {
+    RateLimitManager,
+    printAllocation
+};
@@ -1,15 +1,111 @@
 const redis = require('redis');
+const { QueueBackend } = require('./queue-backend');
 
-class RedisQueueService {
+// Write the item only if its id has not been enqueued before
+const ENQUEUE_SCRIPT = `
+if redis.call('SET', KEYS[1], '1', 'NX', 'EX', tonumber(ARGV[2])) then
+    redis.call('LPUSH', KEYS[2], ARGV[1])
+    return 1
+end
+return 0
+`;
+
+// Move the oldest pending item into processing and set its lease in one step,
+// so a crash between the two can never leave an unleased item behind.
+// KEYS holds the pending lists from highest to lowest priority, then the processing list
+const CLAIM_SCRIPT = `
+local processing = KEYS[#KEYS]
+local raw = nil
+for i = 1, #KEYS - 1 do
+    raw = redis.call('RPOPLPUSH', KEYS[i], processing)
+    if raw then
+        break
+    end
+end
+if not raw then
+    return nil
+end
+local ok, item = pcall(cjson.decode, raw)
+local id = raw
+if ok and type(item) == 'table' and item.id then
+    id = item.id
+end
+redis.call('SET', ARGV[1] .. id, ARGV[2], 'PX', tonumber(ARGV[3]))
+return raw
+`;
+
+// Move the items of the single pending list used before priority levels into their priority list.
+// KEYS holds the old list, then the pending lists of the levels in ARGV. Taking the newest first
+// and appending on the right keeps them in order, ahead of items queued since.
+const MIGRATE_SCRIPT = `
+local lists = {}
+for i = 1, #ARGV do
+    lists[tonumber(ARGV[i])] = KEYS[i + 1]
+end
+local moved = 0
+while true do
+    local raw = redis.call('LPOP', KEYS[1])
+    if not raw then
+        break
+    end
+    local ok, item = pcall(cjson.decode, raw)
+    local list = ok and type(item) == 'table' and lists[tonumber(item.priority)] or nil
+    redis.call('RPUSH', list or lists[1], raw)
+    moved = moved + 1
+end
+return moved
+`;
+
+// Requeue a processing item only if nobody holds its lease any more
+const RECOVER_SCRIPT = `
+if redis.call('EXISTS', KEYS[3]) == 1 then
+    return 0
+end
+if redis.call('LREM', KEYS[1], 1, ARGV[1]) == 1 then
+    redis.call('RPUSH', KEYS[2], ARGV[1])
+    return 1
+end
+return 0
+`;
+
+// Move one item between two keys only if this caller is the one that removed it,
+// so concurrent promoters or replays never duplicate an item
+const PROMOTE_SCRIPT = `
+if redis.call('ZREM', KEYS[1], ARGV[1]) == 1 then
+    redis.call('LPUSH', KEYS[2], ARGV[1])
+    return 1
+end
+return 0
+`;
+
+const REPLAY_SCRIPT = `
+if redis.call('LREM', KEYS[1], 1, ARGV[1]) == 1 then
+    redis.call('LPUSH', KEYS[2], ARGV[2])
+    return 1
+end
+return 0
+`;
+
+class RedisQueueService extends QueueBackend {
     constructor() {
+        super('Redis');
         this.client = null;
-        this.isConnected = false;
         this.queueName = 'wallet_audit_events';
         this.processingQueueName = 'wallet_audit_processing';
         this.failedQueueName = 'wallet_audit_failed';
+        // Sorted set of items waiting for their next retry, scored by due time
+        this.delayedQueueName = 'wallet_audit_delayed';
+        // Hash of wallet|event -> first_seen/last_seen/seen_count for events that are still flagged
+        this.openEventsKey = 'wallet_audit_open_events';
+        // Markers of item ids already written, so replayed enqueues are skipped
+        this.enqueuedKeyPrefix = 'wallet_audit_enqueued:';
+        this.leaseKeyPrefix = 'wallet_audit_lease:';
     }
 
     async connect() {
+        // Activities call connect() on every run; reuse the open client
+        if (this.isConnected) return true;
+
         try {
             this.client = redis.createClient({
                 url: process.env.REDIS_URL || 'redis://localhost:6379',
@@ -50,6 +146,7 @@ class RedisQueueService {
             });
 
             await this.client.connect();
+            await this.migrateLegacyQueue();
             return true;
         } catch (error) {
             console.error('❌ Failed to connect to Redis:', error);
@@ -64,85 +161,295 @@ class RedisQueueService {
         }
     }
 
-    async addEventToQueue(event, workerId) {
-        if (!this.isConnected) {
-            console.error('❌ Redis not connected, falling back to logging');
-            console.log(`[Worker ${workerId}] Wallet: ${event.wallet_name}, Events: [${event.events.join(', ')}]`);
-            return false;
+    async writeQueueItems(queueItems) {
+        const pipeline = this.client.multi();
+        queueItems.forEach(item => {
+            pipeline.eval(ENQUEUE_SCRIPT, {
+                keys: [this.enqueuedKeyPrefix + item.id, this.getPendingQueueName(item.priority)],
+                arguments: [JSON.stringify(item), this.dedupTtlSeconds.toString()]
+            });
+        });
+
+        const results = await pipeline.exec();
+        return results.filter(result => result === 1).length;
+    }
+
+    /**
+     * Move items still waiting in the single list used before priority levels (this.queueName)
+     * into their priority lists, so nothing queued before an upgrade is stranded
+     */
+    async migrateLegacyQueue() {
+        try {
+            const moved = await this.client.eval(MIGRATE_SCRIPT, {
+                keys: [this.queueName, ...this.getPendingQueueNames()],
+                arguments: this.priorityLevels.map(String)
+            });
+
+            if (moved > 0) {
+                console.log(`📦 Moved ${moved} items from ${this.queueName} to the priority queues`);
+            }
+            return moved;
+        } catch (error) {
+            console.error(`❌ Failed to move items from ${this.queueName} to the priority queues:`, error);
+            return 0;
         }
+    }
+
+    /**
+     * Name of the pending list that holds items of the given priority
+     */
+    getPendingQueueName(priority) {
+        const level = this.priorityLevels.includes(priority) ? priority : 1;
+        return `${this.queueName}:p${level}`;
+    }
+
+    getPendingQueueNames() {
+        return this.priorityLevels.map(priority => this.getPendingQueueName(priority));
+    }
+
+    /**
+     * Atomically move the oldest item of the highest non-empty priority into the processing list
+     * and take a lease on it. Producers push on the left, so the oldest item sits on the right.
+     * An item that cannot be parsed goes straight to the failed list, and the next one is claimed.
+     */
+    async claimNextItem(consumerId) {
+        if (!this.isConnected) return null;
 
         try {
-            const queueItem = {
-                id: `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-                wallet_name: event.wallet_name,
-                events: event.events,
-                worker_id: workerId,
-                timestamp: new Date().toISOString(),
-                priority: this.calculatePriority(event.events),
-                retry_count: 0
-            };
+            for (;;) {
+                const raw = await this.client.eval(CLAIM_SCRIPT, {
+                    keys: [...this.getPendingQueueNames(), this.processingQueueName],
+                    arguments: [this.leaseKeyPrefix, consumerId, this.leaseTimeoutMs.toString()]
+                });
 
-            await this.client.lPush(this.queueName, JSON.stringify(queueItem));
-            
-            console.log(`📥 [Worker ${workerId}] Added to queue: ${event.wallet_name} (${event.events.length} events)`);
-            return true;
+                if (!raw) return null;
+
+                let item;
+                try {
+                    item = this.parseQueueItem(raw);
+                } catch (parseError) {
+                    await this.failMalformedItem(raw, parseError, consumerId);
+                    continue;
+                }
+
+                return {
+                    raw,
+                    item,
+                    consumerId,
+                    claimedAt: new Date().toISOString()
+                };
+            }
         } catch (error) {
-            console.error(`❌ [Worker ${workerId}] Failed to add event to queue:`, error);
-            return false;
+            console.error(`❌ [Consumer ${consumerId}] Failed to claim queue item:`, error);
+            return null;
         }
     }
 
-    async addEventsToQueue(events, workerId) {
-        if (!this.isConnected) {
-            console.error('❌ Redis not connected, falling back to logging');
-            console.log(`[Worker ${workerId}] Adding events to queue:`);
-            events.forEach(event => {
-                console.log(`  [Worker ${workerId}] Wallet: ${event.wallet_name}, Events: [${event.events.join(', ')}]`);
-            });
+    /**
+     * Move an unparsable item from processing to the failed list; the claim script leased it
+     * under its raw payload, as it had no id
+     */
+    async failMalformedItem(raw, error, consumerId) {
+        const failedItem = this.prepareMalformedFailure(raw, error, consumerId);
+
+        await this.client.multi()
+            .lRem(this.processingQueueName, 1, raw)
+            .del(this.leaseKeyPrefix + raw)
+            .lPush(this.failedQueueName, JSON.stringify(failedItem))
+            .exec();
+        console.error(`❌ [Consumer ${consumerId}] Moved malformed queue item to ${this.failedQueueName}: ${error.message}`);
+    }
+
+    /**
+     * Keep the lease alive while a long-running handler is still working on the item
+     */
+    async extendLease(claim) {
+        if (!this.isConnected) return false;
+
+        try {
+            await this.client.set(this.leaseKeyPrefix + claim.item.id, claim.consumerId, { PX: this.leaseTimeoutMs });
+            return true;
+        } catch (error) {
+            console.error(`❌ [Consumer ${claim.consumerId}] Failed to extend lease for ${claim.item.id}:`, error);
             return false;
         }
+    }
+
+    /**
+     * Remove a successfully handled item from the processing list
+     */
+    async ackItem(claim) {
+        if (!this.isConnected) return false;
 
         try {
-            console.log(`📥 [Worker ${workerId}] Adding ${events.length} events to queue...`);
-            
-            const queueItems = events.map(event => ({
-                id: `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-                wallet_name: event.wallet_name,
-                events: event.events,
-                worker_id: workerId,
-                timestamp: new Date().toISOString(),
-                priority: this.calculatePriority(event.events),
-                retry_count: 0
-            }));
-
-            // Add all events to queue
-            const pipeline = this.client.multi();
-            queueItems.forEach(item => {
-                pipeline.lPush(this.queueName, JSON.stringify(item));
-            });
-            
-            await pipeline.exec();
-            
-            console.log(`✅ [Worker ${workerId}] Successfully added ${events.length} events to queue`);
+            await this.client.multi()
+                .lRem(this.processingQueueName, 1, claim.raw)
+                .del(this.leaseKeyPrefix + claim.item.id)
+                .exec();
             return true;
         } catch (error) {
-            console.error(`❌ [Worker ${workerId}] Failed to add events to queue:`, error);
+            console.error(`❌ [Consumer ${claim.consumerId}] Failed to ack ${claim.item.id}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Record a failed attempt. The item is scheduled for a delayed retry while the retry policy
+     * allows it, otherwise it is moved to the failed list with its full error history.
+     */
+    async failItem(claim, error) {
+        if (!this.isConnected) return false;
+
+        const { failedItem, retrying, attempts, delayMs } = this.prepareFailure(claim, error);
+
+        try {
+            const transaction = this.client.multi()
+                .lRem(this.processingQueueName, 1, claim.raw)
+                .del(this.leaseKeyPrefix + claim.item.id);
+
+            if (retrying) {
+                transaction.zAdd(this.delayedQueueName, { score: Date.parse(failedItem.next_attempt_at), value: JSON.stringify(failedItem) });
+            } else {
+                transaction.lPush(this.failedQueueName, JSON.stringify(failedItem));
+            }
+
+            await transaction.exec();
+            return { retrying, attempts, delayMs };
+        } catch (failError) {
+            console.error(`❌ [Consumer ${claim.consumerId}] Failed to record failure of ${claim.item.id}:`, failError);
             return false;
         }
     }
 
-    async getQueueLength() {
+    /**
+     * Move delayed retries whose backoff has elapsed back into their priority list
+     */
+    async promoteDueItems() {
         if (!this.isConnected) return 0;
-        
+
         try {
-            const length = await this.client.lLen(this.queueName);
-            return length;
+            const dueItems = await this.client.zRangeByScore(this.delayedQueueName, 0, Date.now());
+            let promoted = 0;
+
+            for (const raw of dueItems) {
+                let priority;
+                try {
+                    ({ priority } = JSON.parse(raw));
+                } catch (parseError) {
+                    priority = 1;
+                }
+
+                if (await this.movePromotedItem(raw, priority) === 1) {
+                    promoted++;
+                }
+            }
+
+            if (promoted > 0) {
+                console.log(`🔁 Promoted ${promoted} delayed retries back to the pending queue`);
+            }
+            return promoted;
         } catch (error) {
-            console.error('❌ Failed to get queue length:', error);
+            console.error('❌ Failed to promote delayed queue items:', error);
             return 0;
         }
     }
 
+    async movePromotedItem(raw, priority) {
+        return this.client.eval(PROMOTE_SCRIPT, {
+            keys: [this.delayedQueueName, this.getPendingQueueName(priority)],
+            arguments: [raw]
+        });
+    }
+
+    /**
+     * Read the failed list, newest first, optionally filtered by id, wallet or event type
+     */
+    async listFailedItems(filter = {}) {
+        if (!this.isConnected) return [];
+
+        try {
+            const rawItems = await this.client.lRange(this.failedQueueName, 0, -1);
+            return rawItems
+                .map(raw => ({ raw, item: this.parseFailedEntry(raw) }))
+                .filter(({ item }) => this.matchesFilter(item, filter));
+        } catch (error) {
+            console.error('❌ Failed to list failed queue items:', error);
+            return [];
+        }
+    }
+
+    async moveReplayedItem(entry, replayItem) {
+        return this.client.eval(REPLAY_SCRIPT, {
+            keys: [this.failedQueueName, this.getPendingQueueName(replayItem.priority)],
+            arguments: [entry.raw, JSON.stringify(replayItem)]
+        });
+    }
+
+    async removeFailedEntry(entry) {
+        return this.client.lRem(this.failedQueueName, 1, entry.raw);
+    }
+
+    /**
+     * Return items whose lease has expired (their consumer crashed) to the front of their priority list
+     */
+    async recoverStaleItems() {
+        if (!this.isConnected) return 0;
+
+        try {
+            const rawItems = await this.client.lRange(this.processingQueueName, 0, -1);
+            let recovered = 0;
+
+            for (const raw of rawItems) {
+                let itemId;
+                let priority;
+                try {
+                    ({ id: itemId, priority } = JSON.parse(raw));
+                } catch (parseError) {
+                    itemId = raw;
+                }
+
+                const moved = await this.client.eval(RECOVER_SCRIPT, {
+                    keys: [this.processingQueueName, this.getPendingQueueName(priority), this.leaseKeyPrefix + itemId],
+                    arguments: [raw]
+                });
+
+                if (moved === 1) {
+                    recovered++;
+                }
+            }
+
+            if (recovered > 0) {
+                console.log(`♻️  Recovered ${recovered} stale items from ${this.processingQueueName}`);
+            }
+            return recovered;
+        } catch (error) {
+            console.error('❌ Failed to recover stale queue items:', error);
+            return 0;
+        }
+    }
+
+    async getQueueLengthByPriority() {
+        const byPriority = {};
+        this.priorityLevels.forEach(priority => {
+            byPriority[priority] = 0;
+        });
+
+        if (!this.isConnected) return byPriority;
+
+        try {
+            const lengths = await Promise.all(
+                this.priorityLevels.map(priority => this.client.lLen(this.getPendingQueueName(priority)))
+            );
+            this.priorityLevels.forEach((priority, index) => {
+                byPriority[priority] = lengths[index];
+            });
+            return byPriority;
+        } catch (error) {
+            console.error('❌ Failed to get queue length by priority:', error);
+            return byPriority;
+        }
+    }
+
     async getProcessingQueueLength() {
         if (!this.isConnected) return 0;
         
@@ -167,37 +474,14 @@ class RedisQueueService {
         }
     }
 
-    async getQueueStats() {
-        if (!this.isConnected) {
-            return {
-                pending: 0,
-                processing: 0,
-                failed: 0,
-                total: 0
-            };
-        }
+    async getDelayedQueueLength() {
+        if (!this.isConnected) return 0;
 
         try {
-            const [pending, processing, failed] = await Promise.all([
-                this.getQueueLength(),
-                this.getProcessingQueueLength(),
-                this.getFailedQueueLength()
-            ]);
-
-            return {
-                pending,
-                processing,
-                failed,
-                total: pending + processing + failed
-            };
+            return await this.client.zCard(this.delayedQueueName);
         } catch (error) {
-            console.error('❌ Failed to get queue stats:', error);
-            return {
-                pending: 0,
-                processing: 0,
-                failed: 0,
-                total: 0
-            };
+            console.error('❌ Failed to get delayed queue length:', error);
+            return 0;
         }
     }
 
@@ -214,18 +498,65 @@ class RedisQueueService {
         }
     }
 
-    calculatePriority(events) {
-        // Higher priority for critical events
-        const priorityMap = {
-            'REBALANCE_NEEDED': 5,
-            'OPEN_POSITION_DETECTED': 4,
-            'OPEN_ORDER_DETECTED': 3,
-            'NEW_BALANCE_UPDATE': 2,
-            'BALANCE_CHECK_REQUIRED': 1
-        };
-
-        const maxPriority = Math.max(...events.map(event => priorityMap[event] || 1));
-        return maxPriority;
+    async clearPendingQueues(priority = null) {
+        const queueNames = priority === null
+            ? [this.queueName, ...this.getPendingQueueNames()]
+            : [this.getPendingQueueName(priority)];
+
+        const results = await Promise.all(queueNames.map(queueName => this.clearQueue(queueName)));
+        return results.every(Boolean);
+    }
+
+    async clearAllQueues() {
+        const results = await Promise.all([
+            this.clearPendingQueues(),
+            this.clearQueue(this.processingQueueName),
+            this.clearQueue(this.delayedQueueName),
+            this.clearQueue(this.failedQueueName)
+        ]);
+        return results.every(Boolean);
+    }
+
+    async readOpenEvents(fields) {
+        const existing = await this.client.hmGet(this.openEventsKey, fields);
+        const openEntries = new Map();
+        fields.forEach((field, index) => {
+            if (existing[index]) {
+                openEntries.set(field, JSON.parse(existing[index]));
+            }
+        });
+        return openEntries;
+    }
+
+    async commitOpenEvents(reconciliation) {
+        if (!this.isConnected || !reconciliation.tracked) return false;
+        if (reconciliation.updates.length === 0 && reconciliation.resolved.length === 0) return true;
+
+        try {
+            const transaction = this.client.multi();
+            reconciliation.updates.forEach(({ field, entry }) => {
+                transaction.hSet(this.openEventsKey, field, JSON.stringify(entry));
+            });
+            if (reconciliation.resolved.length > 0) {
+                transaction.hDel(this.openEventsKey, reconciliation.resolved);
+            }
+            await transaction.exec();
+            return true;
+        } catch (error) {
+            console.error('❌ Failed to update open event tracking:', error);
+            return false;
+        }
+    }
+
+    async getOpenEventCount() {
+        if (!this.isConnected) return 0;
+
+        try {
+            return await this.client.hLen(this.openEventsKey);
+        } catch (error) {
+            console.error('❌ Failed to get open event count:', error);
+            return 0;
+        }
     }
 
     async healthCheck() {
@@ -0,0 +1,463 @@
+const { RedisQueueService } = require('./redis-queue');
+
+// Once a stream is longer than maxlen, drop its acked history: the entries before the oldest one
+// the group still has pending or has not delivered yet. Undelivered and unacked entries are
+// never trimmed, so a backlog grows the stream instead of losing events.
+const TRIM_ACKED = `
+local function trimAcked(stream, group, maxlen)
+    if redis.call('XLEN', stream) <= tonumber(maxlen) then
+        return
+    end
+    local pending = redis.pcall('XPENDING', stream, group)
+    if pending.err then
+        return
+    end
+    local minId = nil
+    if pending[1] > 0 then
+        minId = pending[2]
+    else
+        for _, info in ipairs(redis.call('XINFO', 'GROUPS', stream)) do
+            local fields = {}
+            for i = 1, #info, 2 do
+                fields[info[i]] = info[i + 1]
+            end
+            if fields['name'] == group then
+                minId = fields['last-delivered-id']
+            end
+        end
+    end
+    if minId then
+        redis.call('XTRIM', stream, 'MINID', '~', minId)
+    end
+end
+`;
+
+// Append the item to its priority stream only if its id has not been enqueued before
+const ENQUEUE_SCRIPT = `${TRIM_ACKED}
+if redis.call('SET', KEYS[1], '1', 'NX', 'EX', tonumber(ARGV[2])) then
+    redis.call('XADD', KEYS[2], '*', 'item', ARGV[1])
+    trimAcked(KEYS[2], ARGV[4], ARGV[3])
+    return 1
+end
+return 0
+`;
+
+const PROMOTE_SCRIPT = `${TRIM_ACKED}
+if redis.call('ZREM', KEYS[1], ARGV[1]) == 1 then
+    redis.call('XADD', KEYS[2], '*', 'item', ARGV[1])
+    trimAcked(KEYS[2], ARGV[3], ARGV[2])
+    return 1
+end
+return 0
+`;
+
+const REPLAY_SCRIPT = `${TRIM_ACKED}
+if redis.call('XDEL', KEYS[1], ARGV[1]) == 1 then
+    redis.call('XADD', KEYS[2], '*', 'item', ARGV[2])
+    trimAcked(KEYS[2], ARGV[4], ARGV[3])
+    return 1
+end
+return 0
+`;
+
+/**
+ * Queue backend built on Redis Streams: one stream per priority level read through a consumer group.
+ * The group's pending entries list replaces the processing list, and XAUTOCLAIM replaces leases.
+ */
+
+// Entries counted per stream when the group reports no lag; a longer backlog shows as unknown
+const LAG_COUNT_LIMIT = 10000;
+
+class RedisStreamQueueService extends RedisQueueService {
+    constructor() {
+        super();
+        this.streamName = 'wallet_audit_stream';
+        this.failedQueueName = 'wallet_audit_failed_stream';
+        this.groupName = process.env.QUEUE_STREAM_GROUP || 'wallet_audit_consumers';
+        // Streams longer than this drop their acked history; see TRIM_ACKED
+        this.maxStreamLength = parseInt(process.env.QUEUE_STREAM_MAXLEN) || 100000;
+    }
+
+    async connect() {
+        const connected = await super.connect();
+        if (connected) {
+            await this.ensureConsumerGroups();
+        }
+        return connected;
+    }
+
+    /**
+     * Create the consumer group on every priority stream, creating the streams if needed
+     */
+    async ensureConsumerGroups() {
+        for (const stream of this.getPendingQueueNames()) {
+            try {
+                await this.client.xGroupCreate(stream, this.groupName, '0', { MKSTREAM: true });
+                console.log(`✅ Created consumer group ${this.groupName} on ${stream}`);
+            } catch (error) {
+                if (!error.message.includes('BUSYGROUP')) {
+                    throw error;
+                }
+            }
+        }
+    }
+
+    /**
+     * The stream backend never used the single pending list, so there is nothing to migrate
+     */
+    async migrateLegacyQueue() {
+        return 0;
+    }
+
+    getPendingQueueName(priority) {
+        const level = this.priorityLevels.includes(priority) ? priority : 1;
+        return `${this.streamName}:p${level}`;
+    }
+
+    async writeQueueItems(queueItems) {
+        const pipeline = this.client.multi();
+        queueItems.forEach(item => {
+            pipeline.eval(ENQUEUE_SCRIPT, {
+                keys: [this.enqueuedKeyPrefix + item.id, this.getPendingQueueName(item.priority)],
+                arguments: [JSON.stringify(item), this.dedupTtlSeconds.toString(), this.maxStreamLength.toString(), this.groupName]
+            });
+        });
+
+        const results = await pipeline.exec();
+        return results.filter(result => result === 1).length;
+    }
+
+    /**
+     * Claim the next entry of the highest priority stream that has one: first an entry whose
+     * consumer let its lease expire, taken over with XAUTOCLAIM so it keeps its id, then the next
+     * undelivered one. Delivered entries are older than every undelivered one, so the stream stays
+     * oldest first. The entry stays in the group's pending list until it is acked. An entry that
+     * cannot be parsed goes straight to the failed stream, and the next one is claimed.
+     */
+    async claimNextItem(consumerId) {
+        if (!this.isConnected) return null;
+
+        try {
+            for (const stream of this.getPendingQueueNames()) {
+                for (;;) {
+                    const entry = await this.claimStaleEntry(stream, consumerId)
+                        || (await this.client.xReadGroup(this.groupName, consumerId, { key: stream, id: '>' }, { COUNT: 1 }))?.[0]?.messages?.[0];
+                    if (!entry) break;
+
+                    let item;
+                    try {
+                        item = this.parseQueueItem(entry.message.item);
+                    } catch (parseError) {
+                        await this.failMalformedEntry(stream, entry, parseError, consumerId);
+                        continue;
+                    }
+
+                    return {
+                        raw: entry.message.item,
+                        item,
+                        consumerId,
+                        stream,
+                        messageId: entry.id,
+                        claimedAt: new Date().toISOString()
+                    };
+                }
+            }
+            return null;
+        } catch (error) {
+            console.error(`❌ [Consumer ${consumerId}] Failed to claim stream entry:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Take over the oldest entry of the stream idle for longer than the lease timeout, or null
+     */
+    async claimStaleEntry(stream, consumerId) {
+        let cursor = '0-0';
+        do {
+            const { nextId, messages } = await this.client.xAutoClaim(
+                stream, this.groupName, consumerId, this.leaseTimeoutMs, cursor, { COUNT: 1 }
+            );
+            // Entries deleted from the stream meanwhile come back as null
+            const entry = messages.find(message => message);
+            if (entry) return entry;
+            cursor = nextId;
+        } while (cursor !== '0-0');
+        return null;
+    }
+
+    async failMalformedEntry(stream, entry, error, consumerId) {
+        const failedItem = this.prepareMalformedFailure(entry.message.item, error, consumerId);
+
+        await this.client.multi()
+            .xAck(stream, this.groupName, entry.id)
+            .xAdd(this.failedQueueName, '*', { item: JSON.stringify(failedItem) })
+            .exec();
+        console.error(`❌ [Consumer ${consumerId}] Moved malformed entry ${entry.id} to ${this.failedQueueName}: ${error.message}`);
+    }
+
+    /**
+     * Reset the entry's idle time so XAUTOCLAIM does not treat it as stale
+     */
+    async extendLease(claim) {
+        if (!this.isConnected) return false;
+
+        try {
+            await this.client.xClaimJustId(claim.stream, this.groupName, claim.consumerId, 0, claim.messageId);
+            return true;
+        } catch (error) {
+            console.error(`❌ [Consumer ${claim.consumerId}] Failed to extend lease for ${claim.item.id}:`, error);
+            return false;
+        }
+    }
+
+    async ackItem(claim) {
+        if (!this.isConnected) return false;
+
+        try {
+            await this.client.xAck(claim.stream, this.groupName, claim.messageId);
+            return true;
+        } catch (error) {
+            console.error(`❌ [Consumer ${claim.consumerId}] Failed to ack ${claim.item.id}:`, error);
+            return false;
+        }
+    }
+
+    async failItem(claim, error) {
+        if (!this.isConnected) return false;
+
+        const { failedItem, retrying, attempts, delayMs } = this.prepareFailure(claim, error);
+
+        try {
+            const transaction = this.client.multi()
+                .xAck(claim.stream, this.groupName, claim.messageId);
+
+            if (retrying) {
+                transaction.zAdd(this.delayedQueueName, { score: Date.parse(failedItem.next_attempt_at), value: JSON.stringify(failedItem) });
+            } else {
+                // Failed entries are kept until they are replayed or purged, like in the list backend
+                transaction.xAdd(this.failedQueueName, '*', { item: JSON.stringify(failedItem) });
+            }
+
+            await transaction.exec();
+            return { retrying, attempts, delayMs };
+        } catch (failError) {
+            console.error(`❌ [Consumer ${claim.consumerId}] Failed to record failure of ${claim.item.id}:`, failError);
+            return false;
+        }
+    }
+
+    /**
+     * Count the entries idle for longer than the lease timeout (their consumer crashed).
+     * They stay where they are: the next claimNextItem takes them over before new entries.
+     */
+    async recoverStaleItems(consumerId = 'recovery') {
+        if (!this.isConnected) return 0;
+
+        let stale = 0;
+
+        try {
+            for (const stream of this.getPendingQueueNames()) {
+                const entries = await this.client.sendCommand([
+                    'XPENDING', stream, this.groupName, 'IDLE', this.leaseTimeoutMs.toString(), '-', '+', '1000'
+                ]);
+                stale += entries.length;
+            }
+
+            if (stale > 0) {
+                console.log(`♻️  [Consumer ${consumerId}] ${stale} stale entries in consumer group ${this.groupName} are claimed again next`);
+            }
+            return stale;
+        } catch (error) {
+            console.error('❌ Failed to count stale stream entries:', error);
+            return stale;
+        }
+    }
+
+    async movePromotedItem(raw, priority) {
+        return this.client.eval(PROMOTE_SCRIPT, {
+            keys: [this.delayedQueueName, this.getPendingQueueName(priority)],
+            arguments: [raw, this.maxStreamLength.toString(), this.groupName]
+        });
+    }
+
+    async listFailedItems(filter = {}) {
+        if (!this.isConnected) return [];
+
+        try {
+            const entries = await this.client.xRevRange(this.failedQueueName, '+', '-');
+            return entries
+                .map(entry => ({ raw: entry.message.item, item: this.parseFailedEntry(entry.message.item), messageId: entry.id }))
+                .filter(({ item }) => this.matchesFilter(item, filter));
+        } catch (error) {
+            console.error('❌ Failed to list failed stream entries:', error);
+            return [];
+        }
+    }
+
+    async moveReplayedItem(entry, replayItem) {
+        return this.client.eval(REPLAY_SCRIPT, {
+            keys: [this.failedQueueName, this.getPendingQueueName(replayItem.priority)],
+            arguments: [entry.messageId, JSON.stringify(replayItem), this.maxStreamLength.toString(), this.groupName]
+        });
+    }
+
+    async removeFailedEntry(entry) {
+        return this.client.xDel(this.failedQueueName, entry.messageId);
+    }
+
+    /**
+     * XINFO GROUPS as plain objects; node-redis drops the lag and entries-read fields (Redis 7+)
+     */
+    async getGroupInfo(stream) {
+        const reply = await this.client.sendCommand(['XINFO', 'GROUPS', stream]);
+        return reply.map(fields => {
+            const info = {};
+            for (let i = 0; i < fields.length; i += 2) {
+                info[fields[i]] = fields[i + 1];
+            }
+            return info;
+        });
+    }
+
+    /**
+     * Entries of the stream our consumer group has not read yet. Redis 7 reports them as the
+     * group's lag; before Redis 7, or when trimming left the lag unknown, they are counted after
+     * the group's last delivered id. Null when that count exceeds LAG_COUNT_LIMIT.
+     */
+    async getGroupLag(stream, group, length) {
+        if (typeof group.lag === 'number') return group.lag;
+        if (!group['last-delivered-id']) return null;
+        if (group['last-delivered-id'] === '0-0') return length;
+
+        const entries = await this.client.xRange(stream, `(${group['last-delivered-id']}`, '+', { COUNT: LAG_COUNT_LIMIT + 1 });
+        return entries.length > LAG_COUNT_LIMIT ? null : entries.length;
+    }
+
+    /**
+     * Length, lag of our consumer group and pending entries per consumer for every priority stream
+     */
+    async getStreamStats() {
+        const streams = {};
+
+        for (const priority of this.priorityLevels) {
+            const stream = this.getPendingQueueName(priority);
+            const [length, groups, pendingSummary] = await Promise.all([
+                this.client.xLen(stream),
+                this.getGroupInfo(stream),
+                this.client.xPending(stream, this.groupName)
+            ]);
+            const group = groups.find(info => info.name === this.groupName) || {};
+
+            streams[stream] = {
+                priority,
+                length,
+                lag: await this.getGroupLag(stream, group, length),
+                pending: pendingSummary.pending,
+                consumers: Object.fromEntries(
+                    (pendingSummary.consumers || []).map(consumer => [consumer.name, consumer.deliveriesCounter])
+                )
+            };
+        }
+
+        return streams;
+    }
+
+    /**
+     * Pending items per priority (the group's lag, null when unknown) and processing items
+     * (delivered, not acked yet) from one set of stream stats
+     */
+    summarizeStreams(streams) {
+        const pendingByPriority = Object.fromEntries(this.priorityLevels.map(priority => [priority, 0]));
+        let processing = 0;
+        Object.values(streams).forEach(stream => {
+            pendingByPriority[stream.priority] = stream.lag;
+            processing += stream.pending;
+        });
+        return { pendingByPriority, processing };
+    }
+
+    async getQueueLengthByPriority() {
+        if (!this.isConnected) return this.getEmptyQueueStats().pendingByPriority;
+
+        try {
+            return this.summarizeStreams(await this.getStreamStats()).pendingByPriority;
+        } catch (error) {
+            console.error('❌ Failed to get stream lag by priority:', error);
+            return this.getEmptyQueueStats().pendingByPriority;
+        }
+    }
+
+    async getProcessingQueueLength() {
+        if (!this.isConnected) return 0;
+
+        try {
+            return this.summarizeStreams(await this.getStreamStats()).processing;
+        } catch (error) {
+            console.error('❌ Failed to get stream pending count:', error);
+            return 0;
+        }
+    }
+
+    async getFailedQueueLength() {
+        if (!this.isConnected) return 0;
+
+        try {
+            return await this.client.xLen(this.failedQueueName);
+        } catch (error) {
+            console.error('❌ Failed to get failed stream length:', error);
+            return 0;
+        }
+    }
+
+    /**
+     * The stats of every backend plus the per-stream stats, which are fetched once and give
+     * both the pending and the processing counts
+     */
+    async getQueueStats() {
+        const emptyStats = this.getEmptyQueueStats();
+        if (!this.isConnected) return emptyStats;
+
+        try {
+            const [streams, delayed, failed] = await Promise.all([
+                this.getStreamStats(),
+                this.getDelayedQueueLength(),
+                this.getFailedQueueLength()
+            ]);
+            const { pendingByPriority, processing } = this.summarizeStreams(streams);
+            // One stream with an unknown backlog makes the totals unknown too
+            const lags = Object.values(pendingByPriority);
+            const pending = lags.includes(null) ? null : lags.reduce((sum, length) => sum + length, 0);
+
+            return {
+                pending,
+                pendingByPriority,
+                processing,
+                delayed,
+                failed,
+                total: pending === null ? null : pending + processing + delayed + failed,
+                spooled: emptyStats.spooled,
+                streams
+            };
+        } catch (error) {
+            console.error('❌ Failed to get queue stats:', error);
+            return emptyStats;
+        }
+    }
+
+    async clearPendingQueues(priority = null) {
+        const cleared = await super.clearPendingQueues(priority);
+        if (this.isConnected) {
+            await this.ensureConsumerGroups();
+        }
+        return cleared;
+    }
+}
+
+// Create singleton instance
+const redisStreamQueueService = new RedisStreamQueueService();
+
+module.exports = {
+    RedisStreamQueueService,
+    redisStreamQueueService
+};
@@ -0,0 +1,36 @@
+class RetryPolicy {
+    constructor(options = {}) {
+        this.maxAttempts = options.maxAttempts || 5;
+        this.baseDelayMs = options.baseDelayMs || 1000;
+        this.maxDelayMs = options.maxDelayMs || 5 * 60 * 1000;
+    }
+
+    /**
+     * Whether an item that has failed `attempts` times should be tried again
+     */
+    shouldRetry(attempts) {
+        return attempts < this.maxAttempts;
+    }
+
+    /**
+     * Exponential backoff capped at maxDelayMs, with "equal jitter": half of the delay is fixed,
+     * the other half random, so retries of items that failed together spread out
+     */
+    getDelayMs(attempts) {
+        const exponential = Math.min(this.baseDelayMs * Math.pow(2, Math.max(attempts - 1, 0)), this.maxDelayMs);
+        const half = exponential / 2;
+        return Math.round(half + Math.random() * half);
+    }
+}
+
+// Create singleton instance configured from the environment
+const retryPolicy = new RetryPolicy({
+    maxAttempts: parseInt(process.env.QUEUE_MAX_ATTEMPTS),
+    baseDelayMs: parseInt(process.env.QUEUE_RETRY_BASE_MS),
+    maxDelayMs: parseInt(process.env.QUEUE_RETRY_MAX_MS)
+});
+
+module.exports = {
+    RetryPolicy,
+    retryPolicy
+};
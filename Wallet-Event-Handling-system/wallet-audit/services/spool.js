@@ -0,0 +1,159 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Append-only NDJSON file holding queue items that could not be enqueued, one item per line.
+ * Items are replayed in the order they were spooled once the queue backend is healthy again.
+ *
+ * A replay first renames the spool to `<spool>.replaying`, so events spooled meanwhile go to a
+ * fresh file and stay behind the ones being replayed. Duplicates are skipped by item id, both
+ * within the spool and by the backend's enqueue markers.
+ */
+class QueueSpool {
+    constructor(spoolPath = process.env.QUEUE_SPOOL_PATH || './database/queue-spool.ndjson') {
+        this.spoolPath = spoolPath;
+        this.replayPath = `${spoolPath}.replaying`;
+        this.replayBatchSize = 100;
+    }
+
+    /**
+     * Append items and fsync, so they survive a crash right after the activity returns
+     */
+    append(queueItems) {
+        if (queueItems.length === 0) return 0;
+
+        fs.mkdirSync(path.dirname(this.spoolPath), { recursive: true });
+
+        const fd = fs.openSync(this.spoolPath, 'a');
+        try {
+            fs.writeSync(fd, queueItems.map(item => JSON.stringify(item)).join('\n') + '\n');
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+
+        return queueItems.length;
+    }
+
+    readFile(filePath) {
+        if (!fs.existsSync(filePath)) return [];
+
+        return fs.readFileSync(filePath, 'utf8')
+            .split('\n')
+            .filter(line => line.trim() !== '')
+            .map(line => {
+                try {
+                    return JSON.parse(line);
+                } catch (error) {
+                    // A crash mid-append can leave a truncated last line
+                    console.warn(`⚠️  Skipping unreadable spool line in ${filePath}: ${line.slice(0, 80)}`);
+                    return null;
+                }
+            })
+            .filter(item => item !== null);
+    }
+
+    /**
+     * Spooled items in replay order: an interrupted replay first, then newer items
+     */
+    readItems() {
+        return [...this.readFile(this.replayPath), ...this.readFile(this.spoolPath)];
+    }
+
+    hasItems() {
+        return [this.replayPath, this.spoolPath].some(filePath => fs.existsSync(filePath) && fs.statSync(filePath).size > 0);
+    }
+
+    getDepth() {
+        return this.hasItems() ? this.readItems().length : 0;
+    }
+
+    /**
+     * Write spooled items to the queue backend if it reports healthy.
+     * Resolves to { replayed, skipped, remaining }; when a write fails the unwritten items stay spooled.
+     */
+    async replay(queueService) {
+        if (!this.hasItems()) {
+            return { replayed: 0, skipped: 0, remaining: 0 };
+        }
+
+        const health = await queueService.healthCheck();
+        if (health.status !== 'healthy') {
+            return { replayed: 0, skipped: 0, remaining: this.getDepth() };
+        }
+
+        let replayed = 0;
+        let skipped = 0;
+
+        // An interrupted replay is finished before newer items are picked up
+        while (fs.existsSync(this.replayPath) || this.claimSpoolFile()) {
+            const seen = new Set();
+            const items = this.readFile(this.replayPath).filter(item => {
+                if (seen.has(item.id)) {
+                    skipped++;
+                    return false;
+                }
+                seen.add(item.id);
+                return true;
+            });
+
+            for (let i = 0; i < items.length; i += this.replayBatchSize) {
+                const batch = items.slice(i, i + this.replayBatchSize);
+
+                try {
+                    const added = await queueService.writeQueueItems(batch);
+                    replayed += added;
+                    skipped += batch.length - added;
+                } catch (error) {
+                    console.error(`❌ Spool replay stopped after ${replayed} items:`, error);
+                    this.rewriteReplayFile(items.slice(i));
+                    return { replayed, skipped, remaining: this.getDepth() };
+                }
+            }
+
+            fs.rmSync(this.replayPath, { force: true });
+        }
+
+        if (replayed > 0 || skipped > 0) {
+            console.log(`📤 Replayed ${replayed} spooled items to the queue (${skipped} duplicates skipped)`);
+        }
+        return { replayed, skipped, remaining: this.getDepth() };
+    }
+
+    /**
+     * Move the spool aside for replaying; false when there is nothing to move
+     */
+    claimSpoolFile() {
+        try {
+            fs.renameSync(this.spoolPath, this.replayPath);
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') return false;
+            throw error;
+        }
+    }
+
+    rewriteReplayFile(remainingItems) {
+        const tempPath = `${this.replayPath}.tmp`;
+        fs.writeFileSync(tempPath, remainingItems.map(item => JSON.stringify(item)).join('\n') + '\n');
+        fs.renameSync(tempPath, this.replayPath);
+    }
+
+    /**
+     * Drop everything in the spool; resolves to the number of items removed
+     */
+    clear() {
+        const depth = this.getDepth();
+        fs.rmSync(this.replayPath, { force: true });
+        fs.rmSync(this.spoolPath, { force: true });
+        return depth;
+    }
+}
+
+// Create singleton instance configured from the environment
+const queueSpool = new QueueSpool();
+
+module.exports = {
+    QueueSpool,
+    queueSpool
+};
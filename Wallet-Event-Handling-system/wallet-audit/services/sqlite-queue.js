@@ -0,0 +1,448 @@
+const sqlite3 = require('sqlite3').verbose();
+const { QueueBackend } = require('./queue-backend');
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS queue_items (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        id TEXT NOT NULL UNIQUE,
+        priority INTEGER NOT NULL,
+        state TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        consumer_id TEXT,
+        lease_expires_at INTEGER,
+        available_at INTEGER,
+        updated_at INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_queue_items_claim ON queue_items(state, priority DESC, seq);
+    CREATE TABLE IF NOT EXISTS queue_enqueued (
+        id TEXT PRIMARY KEY,
+        expires_at INTEGER NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS queue_open_events (
+        field TEXT PRIMARY KEY,
+        entry TEXT NOT NULL
+    );
+`;
+
+// Stay well below SQLite's limit on bound parameters per statement
+const MAX_PARAMS_PER_QUERY = 500;
+
+/**
+ * Queue backend stored in a local SQLite file. Items live in one table and move between
+ * the pending, processing, delayed and failed states; every claim is a single UPDATE,
+ * so several processes can share the same file.
+ */
+class SqliteQueueService extends QueueBackend {
+    constructor() {
+        super('SQLite queue');
+        this.db = null;
+        this.databasePath = process.env.QUEUE_SQLITE_PATH || './database/queue.db';
+        // Serializes transactions issued from this process over the shared connection
+        this.transactionLock = Promise.resolve();
+    }
+
+    async connect() {
+        if (this.isConnected) return true;
+
+        try {
+            this.db = await new Promise((resolve, reject) => {
+                const db = new sqlite3.Database(this.databasePath, (err) => err ? reject(err) : resolve(db));
+            });
+            this.db.configure('busyTimeout', 5000);
+            await this.exec('PRAGMA journal_mode = WAL;');
+            await this.exec(SCHEMA);
+
+            this.isConnected = true;
+            console.log(`✅ Connected to SQLite queue at ${this.databasePath}`);
+            return true;
+        } catch (error) {
+            console.error('❌ Failed to open SQLite queue:', error);
+            return false;
+        }
+    }
+
+    async disconnect() {
+        if (this.db) {
+            await new Promise((resolve) => this.db.close(() => resolve()));
+            this.db = null;
+            this.isConnected = false;
+        }
+    }
+
+    async healthCheck() {
+        if (!this.isConnected) {
+            return {
+                status: 'disconnected',
+                message: 'SQLite queue not connected'
+            };
+        }
+
+        try {
+            await this.get('SELECT 1');
+            return {
+                status: 'healthy',
+                message: 'SQLite queue is working'
+            };
+        } catch (error) {
+            return {
+                status: 'unhealthy',
+                message: `SQLite queue health check failed: ${error.message}`
+            };
+        }
+    }
+
+    exec(sql) {
+        return new Promise((resolve, reject) => {
+            this.db.exec(sql, (err) => err ? reject(err) : resolve());
+        });
+    }
+
+    run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function (err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve({ changes: this.changes, lastID: this.lastID });
+                }
+            });
+        });
+    }
+
+    get(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+        });
+    }
+
+    all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+        });
+    }
+
+    /**
+     * Run fn inside BEGIN IMMEDIATE/COMMIT, one transaction at a time per process
+     */
+    withTransaction(fn) {
+        const result = this.transactionLock.then(async () => {
+            await this.exec('BEGIN IMMEDIATE');
+            try {
+                const value = await fn();
+                await this.exec('COMMIT');
+                return value;
+            } catch (error) {
+                await this.exec('ROLLBACK');
+                throw error;
+            }
+        });
+
+        this.transactionLock = result.catch(() => {});
+        return result;
+    }
+
+    async writeQueueItems(queueItems) {
+        return this.withTransaction(async () => {
+            const now = Date.now();
+            let added = 0;
+
+            for (const item of queueItems) {
+                // Claims the enqueue marker unless a live one exists
+                const marker = await this.run(
+                    `INSERT INTO queue_enqueued (id, expires_at) VALUES (?, ?)
+                     ON CONFLICT(id) DO UPDATE SET expires_at = excluded.expires_at
+                     WHERE queue_enqueued.expires_at <= ?`,
+                    [item.id, now + this.dedupTtlSeconds * 1000, now]
+                );
+
+                if (marker.changes === 0) continue;
+
+                const inserted = await this.run(
+                    `INSERT OR IGNORE INTO queue_items (id, priority, state, payload, updated_at)
+                     VALUES (?, ?, 'pending', ?, ?)`,
+                    [item.id, item.priority, JSON.stringify(item), now]
+                );
+                added += inserted.changes;
+            }
+
+            return added;
+        });
+    }
+
+    async claimNextItem(consumerId) {
+        if (!this.isConnected) return null;
+
+        try {
+            const now = Date.now();
+            const row = await this.get(
+                `UPDATE queue_items
+                 SET state = 'processing', consumer_id = ?, lease_expires_at = ?, updated_at = ?
+                 WHERE seq = (
+                     SELECT seq FROM queue_items WHERE state = 'pending'
+                     ORDER BY priority DESC, seq ASC LIMIT 1
+                 )
+                 RETURNING seq, payload`,
+                [consumerId, now + this.leaseTimeoutMs, now]
+            );
+
+            if (!row) return null;
+
+            return {
+                raw: row.payload,
+                item: JSON.parse(row.payload),
+                consumerId,
+                seq: row.seq,
+                claimedAt: new Date(now).toISOString()
+            };
+        } catch (error) {
+            console.error(`❌ [Consumer ${consumerId}] Failed to claim queue item:`, error);
+            return null;
+        }
+    }
+
+    async extendLease(claim) {
+        if (!this.isConnected) return false;
+
+        const result = await this.run(
+            `UPDATE queue_items SET lease_expires_at = ?
+             WHERE seq = ? AND state = 'processing' AND consumer_id = ?`,
+            [Date.now() + this.leaseTimeoutMs, claim.seq, claim.consumerId]
+        );
+        return result.changes === 1;
+    }
+
+    async ackItem(claim) {
+        if (!this.isConnected) return false;
+
+        try {
+            await this.run(`DELETE FROM queue_items WHERE seq = ? AND state = 'processing'`, [claim.seq]);
+            return true;
+        } catch (error) {
+            console.error(`❌ [Consumer ${claim.consumerId}] Failed to ack ${claim.item.id}:`, error);
+            return false;
+        }
+    }
+
+    async failItem(claim, error) {
+        if (!this.isConnected) return false;
+
+        const { failedItem, retrying, attempts, delayMs } = this.prepareFailure(claim, error);
+
+        try {
+            await this.run(
+                `UPDATE queue_items
+                 SET state = ?, payload = ?, available_at = ?, consumer_id = NULL, lease_expires_at = NULL, updated_at = ?
+                 WHERE seq = ? AND state = 'processing'`,
+                [
+                    retrying ? 'delayed' : 'failed',
+                    JSON.stringify(failedItem),
+                    retrying ? Date.parse(failedItem.next_attempt_at) : null,
+                    Date.now(),
+                    claim.seq
+                ]
+            );
+            return { retrying, attempts, delayMs };
+        } catch (failError) {
+            console.error(`❌ [Consumer ${claim.consumerId}] Failed to record failure of ${claim.item.id}:`, failError);
+            return false;
+        }
+    }
+
+    async promoteDueItems() {
+        if (!this.isConnected) return 0;
+
+        try {
+            const now = Date.now();
+            const result = await this.run(
+                `UPDATE queue_items SET state = 'pending', available_at = NULL, updated_at = ?
+                 WHERE state = 'delayed' AND available_at <= ?`,
+                [now, now]
+            );
+
+            if (result.changes > 0) {
+                console.log(`🔁 Promoted ${result.changes} delayed retries back to the pending queue`);
+            }
+            return result.changes;
+        } catch (error) {
+            console.error('❌ Failed to promote delayed queue items:', error);
+            return 0;
+        }
+    }
+
+    /**
+     * Items keep their sequence number, so a recovered item is again the oldest of its priority
+     */
+    async recoverStaleItems() {
+        if (!this.isConnected) return 0;
+
+        try {
+            const now = Date.now();
+            const result = await this.run(
+                `UPDATE queue_items SET state = 'pending', consumer_id = NULL, lease_expires_at = NULL, updated_at = ?
+                 WHERE state = 'processing' AND lease_expires_at <= ?`,
+                [now, now]
+            );
+
+            if (result.changes > 0) {
+                console.log(`♻️  Recovered ${result.changes} stale items from the SQLite queue`);
+            }
+            return result.changes;
+        } catch (error) {
+            console.error('❌ Failed to recover stale queue items:', error);
+            return 0;
+        }
+    }
+
+    async listFailedItems(filter = {}) {
+        if (!this.isConnected) return [];
+
+        try {
+            const rows = await this.all(
+                `SELECT seq, payload FROM queue_items WHERE state = 'failed' ORDER BY updated_at DESC, seq DESC`
+            );
+            return rows
+                .map(row => ({ raw: row.payload, item: this.parseFailedEntry(row.payload), seq: row.seq }))
+                .filter(({ item }) => this.matchesFilter(item, filter));
+        } catch (error) {
+            console.error('❌ Failed to list failed queue items:', error);
+            return [];
+        }
+    }
+
+    async moveReplayedItem(entry, replayItem) {
+        const result = await this.run(
+            `UPDATE queue_items SET state = 'pending', priority = ?, payload = ?, updated_at = ?
+             WHERE seq = ? AND state = 'failed'`,
+            [replayItem.priority, JSON.stringify(replayItem), Date.now(), entry.seq]
+        );
+        return result.changes;
+    }
+
+    async removeFailedEntry(entry) {
+        const result = await this.run(`DELETE FROM queue_items WHERE seq = ? AND state = 'failed'`, [entry.seq]);
+        return result.changes;
+    }
+
+    async readOpenEvents(fields) {
+        const openEntries = new Map();
+
+        for (let i = 0; i < fields.length; i += MAX_PARAMS_PER_QUERY) {
+            const chunk = fields.slice(i, i + MAX_PARAMS_PER_QUERY);
+            const rows = await this.all(
+                `SELECT field, entry FROM queue_open_events WHERE field IN (${chunk.map(() => '?').join(', ')})`,
+                chunk
+            );
+            rows.forEach(row => openEntries.set(row.field, JSON.parse(row.entry)));
+        }
+
+        return openEntries;
+    }
+
+    async commitOpenEvents(reconciliation) {
+        if (!this.isConnected || !reconciliation.tracked) return false;
+        if (reconciliation.updates.length === 0 && reconciliation.resolved.length === 0) return true;
+
+        try {
+            await this.withTransaction(async () => {
+                for (const { field, entry } of reconciliation.updates) {
+                    await this.run(
+                        'INSERT OR REPLACE INTO queue_open_events (field, entry) VALUES (?, ?)',
+                        [field, JSON.stringify(entry)]
+                    );
+                }
+                for (const field of reconciliation.resolved) {
+                    await this.run('DELETE FROM queue_open_events WHERE field = ?', [field]);
+                }
+            });
+            return true;
+        } catch (error) {
+            console.error('❌ Failed to update open event tracking:', error);
+            return false;
+        }
+    }
+
+    async getOpenEventCount() {
+        if (!this.isConnected) return 0;
+
+        const row = await this.get('SELECT COUNT(*) AS count FROM queue_open_events');
+        return row.count;
+    }
+
+    async countInState(state) {
+        if (!this.isConnected) return 0;
+
+        try {
+            const row = await this.get('SELECT COUNT(*) AS count FROM queue_items WHERE state = ?', [state]);
+            return row.count;
+        } catch (error) {
+            console.error(`❌ Failed to count ${state} queue items:`, error);
+            return 0;
+        }
+    }
+
+    async getQueueLengthByPriority() {
+        const byPriority = Object.fromEntries(this.priorityLevels.map(priority => [priority, 0]));
+        if (!this.isConnected) return byPriority;
+
+        try {
+            const rows = await this.all(
+                `SELECT priority, COUNT(*) AS count FROM queue_items WHERE state = 'pending' GROUP BY priority`
+            );
+            rows.forEach(row => {
+                byPriority[row.priority] = row.count;
+            });
+            return byPriority;
+        } catch (error) {
+            console.error('❌ Failed to get queue length by priority:', error);
+            return byPriority;
+        }
+    }
+
+    async getProcessingQueueLength() {
+        return this.countInState('processing');
+    }
+
+    async getDelayedQueueLength() {
+        return this.countInState('delayed');
+    }
+
+    async getFailedQueueLength() {
+        return this.countInState('failed');
+    }
+
+    async clearPendingQueues(priority = null) {
+        if (!this.isConnected) return false;
+
+        try {
+            if (priority === null) {
+                await this.run(`DELETE FROM queue_items WHERE state = 'pending'`);
+            } else {
+                await this.run(`DELETE FROM queue_items WHERE state = 'pending' AND priority = ?`, [priority]);
+            }
+            return true;
+        } catch (error) {
+            console.error('❌ Failed to clear pending queue items:', error);
+            return false;
+        }
+    }
+
+    async clearAllQueues() {
+        if (!this.isConnected) return false;
+
+        try {
+            await this.run('DELETE FROM queue_items');
+            return true;
+        } catch (error) {
+            console.error('❌ Failed to clear queue items:', error);
+            return false;
+        }
+    }
+}
+
+// Create singleton instance
+const sqliteQueueService = new SqliteQueueService();
+
+module.exports = {
+    SqliteQueueService,
+    sqliteQueueService
+};
@@ -0,0 +1,163 @@
+const { describe, it, before, beforeEach, afterEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Cohort keys and the cohort rotation against a fresh wallet database per test, migrated by
+ * openDatabase from a minimal wallets table with the flag columns of the default audit rules.
+ */
+
+// Fixed before audit-cohorts reads it, so the repeat tests do not depend on the environment
+process.env.COHORT_MAX_REPEATS = '1';
+
+// sqlite3 is a native module; without a build for this platform these tests are skipped
+// locally and fail in CI, like the queue backend tests
+let sqliteUnavailable = false;
+try {
+    require('sqlite3');
+} catch (error) {
+    sqliteUnavailable = `sqlite3 cannot be loaded: ${error.message.split('\n')[0]}`;
+}
+
+describe('audit cohorts', { skip: !process.env.CI && sqliteUnavailable }, () => {
+    let tempDir;
+    let databaseCount = 0;
+    let walletDb;
+    let cohorts;
+    let db;
+
+    before(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wallet-audit-cohorts-'));
+        walletDb = require('../database/wallet-db');
+        cohorts = require('../database/audit-cohorts');
+    });
+
+    beforeEach(async () => {
+        databaseCount++;
+        const databasePath = path.join(tempDir, `wallets-${databaseCount}.db`);
+        await createWalletsTable(databasePath);
+        db = await walletDb.openDatabase(databasePath);
+    });
+
+    afterEach(async () => {
+        await walletDb.closeDatabase(db);
+    });
+
+    after(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('keys a wallet by the FNV-1a hash of its name', () => {
+        assert.equal(cohorts.getCohortKey(''), 0x811c9dc5);
+        assert.equal(cohorts.getCohortKey('a'), 0xe40c292c);
+        assert.equal(cohorts.getCohortKey('wallet_001'), cohorts.getCohortKey('wallet_001'));
+        assert.notEqual(cohorts.getCohortKey('wallet_001'), cohorts.getCohortKey('wallet_002'));
+    });
+
+    it('assigns cohort keys without marking wallets changed', async () => {
+        await walletDb.run(db, "INSERT INTO wallets (wallet_name) VALUES ('wallet_001'), ('wallet_002')");
+        const changeSeq = await walletDb.getWalletChangeSeq(db);
+
+        assert.equal(await cohorts.countUnassignedWallets(db), 2);
+        assert.equal(await cohorts.assignCohortKeys(db), 2);
+        assert.equal(await cohorts.countUnassignedWallets(db), 0);
+        assert.equal(await cohorts.assignCohortKeys(db), 0);
+
+        const wallet = await walletDb.get(db, "SELECT cohort_key FROM wallets WHERE wallet_name = 'wallet_001'");
+        assert.equal(wallet.cohort_key, cohorts.getCohortKey('wallet_001'));
+        assert.equal(await walletDb.getWalletChangeSeq(db), changeSeq);
+    });
+
+    it('advances a rotation once per cohort and wraps around', async () => {
+        const first = await cohorts.getNextCohort(db, { count: 2 });
+        assert.deepEqual(first, { index: 0, count: 2, key: 'cohort_rotation:all:2' });
+
+        const second = await cohorts.advanceCohort(db, first);
+        assert.equal(second.index, 1);
+        // A retried or overlapping advance of the same cohort does not skip the next one
+        assert.equal((await cohorts.advanceCohort(db, first)).index, 1);
+        assert.equal((await cohorts.getNextCohort(db, { count: 2 })).index, 1);
+
+        assert.equal((await cohorts.advanceCohort(db, second)).index, 0);
+    });
+
+    it('keeps a rotation per scope and cohort count', async () => {
+        await cohorts.advanceCohort(db, await cohorts.getNextCohort(db, { count: 3 }));
+
+        assert.equal((await cohorts.getNextCohort(db, { count: 3 })).index, 1);
+        assert.equal((await cohorts.getNextCohort(db, { count: 2 })).index, 0);
+        assert.equal((await cohorts.getNextCohort(db, { rotation: 'segment:high-value', count: 3 })).index, 0);
+    });
+
+    it('moves on after a completed run and leaves the cohort after a cancelled one', async () => {
+        const cohort = await cohorts.getNextCohort(db, { count: 3 });
+
+        const cancelled = await cohorts.finishCohortRun(db, cohort, 'cancelled', 'run-1');
+        assert.equal(cancelled.advanced, false);
+        assert.equal((await cohorts.getNextCohort(db, { count: 3 })).index, 0);
+
+        const completed = await cohorts.finishCohortRun(db, cohort, 'completed', 'run-2');
+        assert.equal(completed.advanced, true);
+        assert.equal(completed.next.index, 1);
+    });
+
+    it('scans a cohort again after a partial run, then moves on', async () => {
+        const cohort = await cohorts.getNextCohort(db, { count: 3 });
+
+        const partial = await cohorts.finishCohortRun(db, cohort, 'partial', 'run-1');
+        assert.deepEqual(partial, { next: cohort, advanced: false, repeats: 1, alreadyCounted: false });
+
+        const failed = await cohorts.finishCohortRun(db, cohort, 'failed', 'run-2');
+        assert.equal(failed.advanced, true);
+        assert.equal(failed.repeats, 2);
+        assert.equal(failed.next.index, 1);
+
+        // The next cohort starts without repeats
+        const next = await cohorts.finishCohortRun(db, failed.next, 'partial', 'run-3');
+        assert.equal(next.repeats, 1);
+        assert.equal(next.advanced, false);
+    });
+
+    it('counts a run once when its activity is retried', async () => {
+        const cohort = await cohorts.getNextCohort(db, { count: 3 });
+
+        await cohorts.finishCohortRun(db, cohort, 'partial', 'run-1');
+        const retried = await cohorts.finishCohortRun(db, cohort, 'partial', 'run-1');
+        assert.deepEqual(retried, { next: cohort, advanced: false, repeats: 1, alreadyCounted: true });
+
+        const completed = await cohorts.finishCohortRun(db, cohort, 'completed', 'run-2');
+        assert.equal(completed.next.index, 1);
+        const retriedCompletion = await cohorts.finishCohortRun(db, cohort, 'completed', 'run-2');
+        assert.equal(retriedCompletion.alreadyCounted, true);
+        assert.equal(retriedCompletion.next.index, 1);
+        assert.equal((await cohorts.getNextCohort(db, { count: 3 })).index, 1);
+    });
+});
+
+/**
+ * A wallets table with the columns of the original schema that the default audit rules use
+ */
+async function createWalletsTable(databasePath) {
+    const sqlite3 = require('sqlite3');
+    const { exec, closeDatabase } = require('../database/wallet-db');
+
+    const db = await new Promise((resolve, reject) => {
+        const database = new sqlite3.Database(databasePath, (err) => err ? reject(err) : resolve(database));
+    });
+    try {
+        await exec(db, `
+            CREATE TABLE wallets (
+                wallet_name TEXT PRIMARY KEY,
+                rebalance INTEGER DEFAULT 0,
+                open_position INTEGER DEFAULT 0,
+                open_order INTEGER DEFAULT 0,
+                new_balance INTEGER DEFAULT 0,
+                check_balance INTEGER DEFAULT 0
+            )
+        `);
+    } finally {
+        await closeDatabase(db);
+    }
+}
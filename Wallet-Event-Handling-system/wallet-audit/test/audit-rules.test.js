@@ -0,0 +1,216 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    validateRules,
+    getConditionProblems,
+    conditionToSql,
+    evaluateCondition
+} = require('../services/audit-rules');
+
+/**
+ * Validation, SQL translation and evaluation of audit rule conditions. The last suite runs the
+ * same conditions through SQLite and through evaluateCondition and expects the same wallets.
+ */
+
+// sqlite3 is a native module; without a build for this platform the SQLite suite is skipped
+// locally and fails in CI, like the queue backend tests
+let sqliteUnavailable = false;
+try {
+    require('sqlite3');
+} catch (error) {
+    sqliteUnavailable = `sqlite3 cannot be loaded: ${error.message.split('\n')[0]}`;
+}
+
+function rule(overrides = {}) {
+    return {
+        event: 'LOW_BALANCE',
+        priority: 3,
+        thresholds: { min: 100 },
+        condition: { column: 'balance', op: '<', threshold: 'min' },
+        ...overrides
+    };
+}
+
+const lowActiveBalance = {
+    all: [
+        { column: 'balance', op: '<', threshold: 'min' },
+        { not: { column: 'frozen', op: '==', value: 1 } }
+    ]
+};
+
+describe('validateRules', () => {
+    it('accepts a valid rules config', () => {
+        assert.deepEqual(validateRules({ rules: [rule({ condition: lowActiveBalance, flag: 'low_balance' })] }), []);
+    });
+
+    it('needs a non-empty rules array', () => {
+        assert.deepEqual(validateRules({}), ['"rules" must be a non-empty array']);
+        assert.deepEqual(validateRules({ rules: [] }), ['"rules" must be a non-empty array']);
+    });
+
+    it('reports every problem of every rule', () => {
+        const problems = validateRules({
+            rules: [
+                rule({ event: 'low_balance' }),
+                rule({ priority: 6, flag: 'balance' }),
+                rule({ flag: 'balance', description: 42 }),
+                rule({ event: 'FROZEN', thresholds: { min: '100' }, condition: { column: 'frozen;', op: '=', value: 1 } })
+            ]
+        });
+
+        assert.deepEqual(problems, [
+            'low_balance: "event" must be an upper-case name such as REBALANCE_NEEDED',
+            'LOW_BALANCE: "priority" must be an integer from 1 to 5',
+            'LOW_BALANCE: defined more than once',
+            'LOW_BALANCE: "description" must be a string',
+            'LOW_BALANCE: flag balance is already used by another rule',
+            'FROZEN: threshold min must be a number',
+            'FROZEN: condition: "column" must be a column name',
+            'FROZEN: condition: "op" must be one of == != > >= < <='
+        ]);
+    });
+
+    it('checks nested conditions', () => {
+        const problems = validateRules({
+            rules: [rule({
+                condition: {
+                    any: [
+                        { column: 'balance', op: '<', threshold: 'max' },
+                        { not: { column: 'frozen', op: '==' } },
+                        { all: [] },
+                        { column: 'balance', any: [] }
+                    ]
+                }
+            })]
+        });
+
+        assert.deepEqual(problems, [
+            'LOW_BALANCE: condition.any[0]: unknown threshold max',
+            'LOW_BALANCE: condition.any[1].not: needs either "value" or "threshold"',
+            'LOW_BALANCE: condition.any[2].all must be a non-empty array',
+            'LOW_BALANCE: condition.any[3] must have exactly one of column, all, any or not'
+        ]);
+    });
+
+    it('only accepts numbers as rule values', () => {
+        const problems = validateRules({
+            rules: [
+                rule({ event: 'FROZEN', condition: { column: 'frozen', op: '==', value: true } }),
+                rule({ event: 'TIER', condition: { column: 'tier', op: '==', value: '1' } })
+            ]
+        });
+
+        assert.deepEqual(problems, [
+            'FROZEN: condition: "value" must be a number',
+            'TIER: condition: "value" must be a number'
+        ]);
+    });
+
+    it('accepts strings but not booleans in conditions outside rules', () => {
+        assert.deepEqual(getConditionProblems({ column: 'wallet_name', op: '<=', value: 'wallet_020' }), []);
+        assert.deepEqual(getConditionProblems({ column: 'frozen', op: '==', value: false }, 'segment frozen: condition'), [
+            'segment frozen: condition: "value" must be a number or string'
+        ]);
+    });
+});
+
+describe('conditionToSql', () => {
+    it('guards every comparison against NULL and binds its value', () => {
+        assert.deepEqual(conditionToSql({ column: 'frozen', op: '==', value: 1 }), {
+            sql: '(frozen IS NOT NULL AND frozen = ?)',
+            params: [1]
+        });
+        assert.deepEqual(conditionToSql({ column: 'frozen', op: '!=', value: 1 }), {
+            sql: '(frozen IS NOT NULL AND frozen <> ?)',
+            params: [1]
+        });
+    });
+
+    it('combines conditions and resolves thresholds', () => {
+        assert.deepEqual(conditionToSql(lowActiveBalance, { min: 100 }), {
+            sql: '((balance IS NOT NULL AND balance < ?) AND NOT (frozen IS NOT NULL AND frozen = ?))',
+            params: [100, 1]
+        });
+        assert.deepEqual(conditionToSql({ any: [{ column: 'a', op: '>=', value: 1 }, { column: 'b', op: '<=', value: 2 }] }), {
+            sql: '((a IS NOT NULL AND a >= ?) OR (b IS NOT NULL AND b <= ?))',
+            params: [1, 2]
+        });
+    });
+});
+
+describe('evaluateCondition', () => {
+    it('compares a column with a value or threshold', () => {
+        assert.equal(evaluateCondition({ column: 'frozen', op: '==', value: 1 }, { frozen: 1 }), true);
+        assert.equal(evaluateCondition({ column: 'frozen', op: '!=', value: 1 }, { frozen: 1 }), false);
+        assert.equal(evaluateCondition({ column: 'balance', op: '<', threshold: 'min' }, { balance: 99 }, { min: 100 }), true);
+        assert.equal(evaluateCondition({ column: 'balance', op: '<', threshold: 'min' }, { balance: 100 }, { min: 100 }), false);
+    });
+
+    it('matches no comparison on a NULL column, also under not', () => {
+        assert.equal(evaluateCondition({ column: 'frozen', op: '!=', value: 1 }, { frozen: null }), false);
+        assert.equal(evaluateCondition({ column: 'frozen', op: '==', value: 1 }, {}), false);
+        assert.equal(evaluateCondition(lowActiveBalance, { balance: 50, frozen: null }, { min: 100 }), true);
+    });
+
+    it('combines conditions with all, any and not', () => {
+        const thresholds = { min: 100 };
+        assert.equal(evaluateCondition(lowActiveBalance, { balance: 50, frozen: 0 }, thresholds), true);
+        assert.equal(evaluateCondition(lowActiveBalance, { balance: 50, frozen: 1 }, thresholds), false);
+        assert.equal(evaluateCondition({ any: [lowActiveBalance, { column: 'frozen', op: '==', value: 1 }] }, { balance: 500, frozen: 1 }, thresholds), true);
+    });
+});
+
+describe('SQL and JavaScript evaluation', { skip: !process.env.CI && sqliteUnavailable }, () => {
+    const wallets = [
+        { wallet_name: 'wallet_001', balance: 50, frozen: 0 },
+        { wallet_name: 'wallet_002', balance: 50, frozen: 1 },
+        { wallet_name: 'wallet_003', balance: 500, frozen: 0 },
+        { wallet_name: 'wallet_004', balance: 50, frozen: null },
+        { wallet_name: 'wallet_005', balance: null, frozen: 0 },
+        { wallet_name: 'wallet_006', balance: 100, frozen: 1 }
+    ];
+
+    const conditions = {
+        'low balance of an active wallet': lowActiveBalance,
+        'not frozen': { not: { column: 'frozen', op: '==', value: 1 } },
+        'frozen or at least the minimum': {
+            any: [{ column: 'frozen', op: '!=', value: 0 }, { column: 'balance', op: '>=', threshold: 'min' }]
+        }
+    };
+
+    Object.entries(conditions).forEach(([name, condition]) => {
+        it(`selects the same wallets for ${name}`, async () => {
+            // Required here: wallet-db loads sqlite3
+            const { all, closeDatabase } = require('../database/wallet-db');
+            const db = await openWalletsDatabase(wallets);
+            try {
+                const { sql, params } = conditionToSql(condition, { min: 100 });
+                const rows = await all(db, `SELECT wallet_name FROM wallets WHERE ${sql} ORDER BY wallet_name`, params);
+
+                const matched = wallets
+                    .filter(wallet => evaluateCondition(condition, wallet, { min: 100 }))
+                    .map(wallet => wallet.wallet_name);
+                assert.deepEqual(rows.map(row => row.wallet_name), matched);
+            } finally {
+                await closeDatabase(db);
+            }
+        });
+    });
+});
+
+/**
+ * An in-memory database with a wallets table holding the given rows
+ */
+async function openWalletsDatabase(rows) {
+    const sqlite3 = require('sqlite3');
+    const { run } = require('../database/wallet-db');
+
+    const db = await new Promise((resolve, reject) => {
+        const database = new sqlite3.Database(':memory:', (err) => err ? reject(err) : resolve(database));
+    });
+    await run(db, 'CREATE TABLE wallets (wallet_name TEXT PRIMARY KEY, balance INTEGER, frozen INTEGER)');
+    for (const wallet of rows) {
+        await run(db, 'INSERT INTO wallets (wallet_name, balance, frozen) VALUES (?, ?, ?)', [wallet.wallet_name, wallet.balance, wallet.frozen]);
+    }
+    return db;
+}
@@ -0,0 +1,316 @@
+const { describe, it, before, beforeEach, afterEach, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { MemoryQueueService } = require('../services/memory-queue');
+const { RedisQueueService } = require('../services/redis-queue');
+const { RedisStreamQueueService } = require('../services/redis-stream-queue');
+const { RetryPolicy } = require('../services/retry-policy');
+const { QueueSpool } = require('../services/spool');
+
+/**
+ * Contract tests: the same enqueue/claim/ack/fail/stats/clear sequence against every queue
+ * backend. Each test gets a fresh backend with its own spool (and database file), a retry policy
+ * of two attempts and millisecond backoff.
+ *
+ * The Redis backends run against REDIS_TEST_URL, a database the tests flush before every test
+ * (e.g. redis://localhost:6379/15), and are skipped without it.
+ */
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wallet-audit-queue-'));
+let backendCount = 0;
+
+// sqlite3 is a native module; without a build for this platform its tests are skipped locally
+// and fail in CI, where a skipped backend would go unnoticed
+let sqliteUnavailable = false;
+try {
+    require('sqlite3');
+} catch (error) {
+    sqliteUnavailable = `sqlite3 cannot be loaded: ${error.message.split('\n')[0]}`;
+}
+
+const redisTestUrl = process.env.REDIS_TEST_URL;
+if (redisTestUrl) {
+    process.env.REDIS_URL = redisTestUrl;
+}
+const redisUnavailable = !redisTestUrl && 'REDIS_TEST_URL is not set';
+
+/**
+ * Resolve once a TCP connection to the Redis server opens; node-redis would retry forever instead
+ */
+function probeRedis(url, timeoutMs = 2000) {
+    const { hostname, port } = new URL(url);
+    return new Promise((resolve, reject) => {
+        const socket = net.connect({ host: hostname, port: Number(port) || 6379, timeout: timeoutMs });
+        socket.once('connect', () => {
+            socket.destroy();
+            resolve();
+        });
+        socket.once('timeout', () => {
+            socket.destroy();
+            reject(new Error(`Redis at ${url} did not answer within ${timeoutMs}ms`));
+        });
+        socket.once('error', error => reject(new Error(`Redis at ${url} is not reachable: ${error.message}`)));
+    });
+}
+
+// create returns a new backend; reset empties what a connected backend shares with earlier tests.
+// A backend that is unavailable but requiredInCi fails instead of being skipped when CI is set.
+const backends = {
+    memory: {
+        create: () => new MemoryQueueService()
+    },
+    sqlite: {
+        unavailable: sqliteUnavailable,
+        requiredInCi: true,
+        create: () => {
+            const { SqliteQueueService } = require('../services/sqlite-queue');
+            const backend = new SqliteQueueService();
+            backend.databasePath = path.join(tempDir, `queue-${backendCount}.db`);
+            return backend;
+        }
+    },
+    'redis-list': {
+        unavailable: redisUnavailable,
+        probe: () => probeRedis(redisTestUrl),
+        create: () => new RedisQueueService(),
+        reset: backend => backend.client.flushDb()
+    },
+    'redis-streams': {
+        unavailable: redisUnavailable,
+        probe: () => probeRedis(redisTestUrl),
+        create: () => new RedisStreamQueueService(),
+        reset: async backend => {
+            await backend.client.flushDb();
+            await backend.ensureConsumerGroups();
+        }
+    }
+};
+
+const origin = { workflowId: 'wallet-audit-test', runId: 'run-1', activityId: '1' };
+
+function event(walletName, ...events) {
+    return { wallet_name: walletName, events };
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function claimAll(backend) {
+    const claims = [];
+    let claim;
+    while ((claim = await backend.claimNextItem('test-consumer'))) {
+        claims.push(claim);
+    }
+    return claims;
+}
+
+// The backends log every step; that output would interleave with the test runner's own reports
+before(() => {
+    ['log', 'warn', 'error'].forEach(level => mock.method(console, level, () => {}));
+});
+
+after(() => {
+    mock.restoreAll();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+Object.entries(backends).forEach(([name, { unavailable = false, requiredInCi = false, probe, create, reset }]) => {
+    if (unavailable && requiredInCi && process.env.CI) {
+        it(`${name} queue backend`, () => assert.fail(unavailable));
+        return;
+    }
+
+    describe(`${name} queue backend`, { skip: unavailable }, () => {
+        let backend;
+
+        if (probe) {
+            before(probe);
+        }
+
+        beforeEach(async () => {
+            backendCount++;
+            backend = create();
+            backend.spool = new QueueSpool(path.join(tempDir, `spool-${backendCount}.ndjson`));
+            backend.retryPolicy = new RetryPolicy({ maxAttempts: 2, baseDelayMs: 1, maxDelayMs: 1 });
+            assert.equal(await backend.connect(), true);
+            if (reset) {
+                await reset(backend);
+            }
+        });
+
+        afterEach(async () => {
+            await backend.disconnect();
+        });
+
+        it('claims the highest priority first, oldest first within a priority', async () => {
+            assert.equal(await backend.addEventsToQueue([
+                event('wallet_001', 'BALANCE_CHECK_REQUIRED'),
+                event('wallet_002', 'REBALANCE_NEEDED'),
+                event('wallet_003', 'BALANCE_CHECK_REQUIRED')
+            ], 1, origin), true);
+
+            const stats = await backend.getQueueStats();
+            assert.equal(stats.pending, 3);
+            assert.equal(stats.pendingByPriority[5], 1);
+            assert.equal(stats.pendingByPriority[1], 2);
+
+            const claims = await claimAll(backend);
+            assert.deepEqual(claims.map(claim => claim.item.wallet_name), ['wallet_002', 'wallet_001', 'wallet_003']);
+            assert.equal((await backend.getQueueStats()).processing, 3);
+        });
+
+        it('skips items enqueued before', async () => {
+            await backend.addEventsToQueue([event('wallet_001', 'OPEN_ORDER_DETECTED')], 1, origin);
+            await backend.addEventsToQueue([event('wallet_001', 'OPEN_ORDER_DETECTED')], 1, origin);
+
+            assert.equal((await backend.getQueueStats()).pending, 1);
+        });
+
+        it('skips items a retried or later activity of the same run enqueues again', async () => {
+            await backend.addEventsToQueue([event('wallet_001', 'OPEN_ORDER_DETECTED', 'REBALANCE_NEEDED')], 1, origin);
+            await backend.addEventsToQueue(
+                [event('wallet_001', 'REBALANCE_NEEDED', 'OPEN_ORDER_DETECTED')], 1, { ...origin, activityId: '7' }
+            );
+            assert.equal((await backend.getQueueStats()).pending, 1);
+
+            await backend.addEventsToQueue([event('wallet_001', 'OPEN_ORDER_DETECTED', 'REBALANCE_NEEDED')], 1, { ...origin, runId: 'run-2' });
+            assert.equal((await backend.getQueueStats()).pending, 2);
+        });
+
+        it('removes acked items', async () => {
+            await backend.addEventsToQueue([event('wallet_001', 'NEW_BALANCE_UPDATE')], 1, origin);
+
+            const claim = await backend.claimNextItem('test-consumer');
+            assert.equal(claim.item.priority, 2);
+            assert.equal(await backend.extendLease(claim), true);
+            assert.equal(await backend.ackItem(claim), true);
+
+            const stats = await backend.getQueueStats();
+            assert.equal(stats.total, 0);
+            assert.equal(await backend.claimNextItem('test-consumer'), null);
+        });
+
+        it('retries a failed item after its backoff, then moves it to the failed store', async () => {
+            await backend.addEventsToQueue([event('wallet_001', 'REBALANCE_NEEDED')], 1, origin);
+
+            const first = await backend.claimNextItem('test-consumer');
+            const retry = await backend.failItem(first, new Error('handler down'));
+            assert.equal(retry.retrying, true);
+            assert.equal(retry.attempts, 1);
+            assert.equal((await backend.getQueueStats()).delayed, 1);
+
+            await sleep(10);
+            assert.equal(await backend.promoteDueItems(), 1);
+
+            const second = await backend.claimNextItem('test-consumer');
+            assert.equal(second.item.id, first.item.id);
+            assert.equal(second.item.retry_count, 1);
+            const exhausted = await backend.failItem(second, new Error('still down'));
+            assert.equal(exhausted.retrying, false);
+
+            const stats = await backend.getQueueStats();
+            assert.equal(stats.failed, 1);
+            assert.equal(stats.total, 1);
+
+            const [entry] = await backend.listFailedItems({ wallet: 'wallet_001' });
+            assert.deepEqual(entry.item.errors.map(error => error.message), ['handler down', 'still down']);
+            assert.ok(entry.item.exhausted_at);
+        });
+
+        it('replays failed items with a fresh retry budget', async () => {
+            backend.retryPolicy = new RetryPolicy({ maxAttempts: 1 });
+            await backend.addEventsToQueue([event('wallet_001', 'OPEN_POSITION_DETECTED')], 1, origin);
+            await backend.failItem(await backend.claimNextItem('test-consumer'), new Error('handler down'));
+
+            assert.equal(await backend.replayFailedItems({ event: 'OPEN_POSITION_DETECTED' }), 1);
+            assert.equal((await backend.getQueueStats()).failed, 0);
+
+            const claim = await backend.claimNextItem('test-consumer');
+            assert.equal(claim.item.retry_count, 0);
+            assert.equal(claim.item.errors.length, 1);
+        });
+
+        it('purges failed items by filter', async () => {
+            backend.retryPolicy = new RetryPolicy({ maxAttempts: 1 });
+            await backend.addEventsToQueue([
+                event('wallet_001', 'OPEN_ORDER_DETECTED'),
+                event('wallet_002', 'OPEN_ORDER_DETECTED')
+            ], 1, origin);
+            for (const claim of await claimAll(backend)) {
+                await backend.failItem(claim, new Error('handler down'));
+            }
+
+            assert.equal(await backend.purgeFailedItems({ wallet: 'wallet_001' }), 1);
+            const remaining = await backend.listFailedItems();
+            assert.deepEqual(remaining.map(entry => entry.item.wallet_name), ['wallet_002']);
+        });
+
+        it('recovers items whose lease expired', async () => {
+            backend.leaseTimeoutMs = 1;
+            await backend.addEventsToQueue([event('wallet_001', 'REBALANCE_NEEDED')], 1, origin);
+            const claim = await backend.claimNextItem('crashed-consumer');
+
+            await sleep(10);
+            assert.equal(await backend.recoverStaleItems('test-consumer'), 1);
+
+            const reclaimed = await backend.claimNextItem('test-consumer');
+            assert.equal(reclaimed.item.id, claim.item.id);
+        });
+
+        it('claims a recovered item before items queued after it', async () => {
+            backend.leaseTimeoutMs = 1;
+            await backend.addEventsToQueue([event('wallet_001', 'REBALANCE_NEEDED')], 1, origin);
+            const claim = await backend.claimNextItem('crashed-consumer');
+            await backend.addEventsToQueue([event('wallet_002', 'REBALANCE_NEEDED')], 1, origin);
+
+            await sleep(10);
+            await backend.recoverStaleItems('test-consumer');
+
+            // Acked before the next claim: with a 1ms lease it would be stale again right away
+            const reclaimed = await backend.claimNextItem('test-consumer');
+            assert.equal(reclaimed.item.id, claim.item.id);
+            assert.equal(await backend.ackItem(reclaimed), true);
+            assert.equal((await backend.claimNextItem('test-consumer')).item.wallet_name, 'wallet_002');
+        });
+
+        it('tracks open events until their flag clears', async () => {
+            const first = await backend.reconcileOpenEvents([event('wallet_001', 'REBALANCE_NEEDED')]);
+            assert.equal(first.newCount, 1);
+            assert.equal(await backend.commitOpenEvents(first), true);
+            assert.equal(await backend.getOpenEventCount(), 1);
+
+            const repeat = await backend.reconcileOpenEvents([event('wallet_001', 'REBALANCE_NEEDED')]);
+            assert.equal(repeat.newCount, 0);
+            assert.equal(repeat.stillOpenCount, 1);
+            await backend.commitOpenEvents(repeat);
+
+            const cleared = await backend.reconcileOpenEvents([event('wallet_001')]);
+            assert.equal(cleared.resolvedCount, 1);
+            await backend.commitOpenEvents(cleared);
+            assert.equal(await backend.getOpenEventCount(), 0);
+        });
+
+        it('clears one priority level or everything', async () => {
+            await backend.addEventsToQueue([
+                event('wallet_001', 'REBALANCE_NEEDED'),
+                event('wallet_002', 'BALANCE_CHECK_REQUIRED'),
+                event('wallet_003', 'OPEN_ORDER_DETECTED')
+            ], 1, origin);
+            await backend.claimNextItem('test-consumer');
+
+            assert.equal(await backend.clearPendingQueues(1), true);
+            let stats = await backend.getQueueStats();
+            assert.equal(stats.pendingByPriority[1], 0);
+            assert.equal(stats.pendingByPriority[3], 1);
+            assert.equal(stats.processing, 1);
+
+            assert.equal(await backend.clearAllQueues(), true);
+            stats = await backend.getQueueStats();
+            assert.equal(stats.total, 0);
+        });
+    });
+});
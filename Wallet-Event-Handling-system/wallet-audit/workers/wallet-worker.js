@@ -1,6 +1,28 @@
 const { Worker } = require('@temporalio/worker');
-const { processWalletRange } = require('../activities/wallet-activities');
+const { processWalletRange, planWalletPartitions } = require('../activities/wallet-activities');
+const eventHandlerActivities = require('../activities/event-handler-activities');
+const auditRunActivities = require('../activities/audit-run-activities');
 const { processAllWallets } = require('../workflows/wallet-workflow');
+const { getHandledEventTypes } = require('../workflows/event-handler-registry');
+const { getAuditRules } = require('../services/audit-rules');
+const { openDatabase, closeDatabase } = require('../database/wallet-db');
+
+/**
+ * Fail startup on audit rules that are invalid or use columns the wallets table lacks,
+ * rather than on the first partition that evaluates them
+ */
+async function checkAuditRules(workerId) {
+    const rules = getAuditRules();
+    // Opening the database checks the rule columns against the wallets table
+    const db = await openDatabase();
+    await closeDatabase(db);
+    
+    const handled = getHandledEventTypes();
+    rules.filter(rule => !handled.includes(rule.event)).forEach(rule => {
+        console.log(`📌 Worker ${workerId}: no handler workflow registered for ${rule.event}, the fallback handler acknowledges it`);
+    });
+    console.log(`📏 Worker ${workerId} loaded ${rules.length} audit rules`);
+}
 
 async function runWorker(workerId = 1) {
     console.log(`🚀 Starting Temporal worker ${workerId}...`);
@@ -8,11 +30,19 @@ async function runWorker(workerId = 1) {
     let worker = null;
     
     try {
+        await checkAuditRules(workerId);
+        
+        // Recorded by the wallet activities in audit_partitions
+        process.env.WALLET_WORKER_IDENTITY = `wallet-worker-${workerId}`;
+        
         // Create a worker that connects to the default localhost:7233
         worker = await Worker.create({
             workflowsPath: require.resolve('../workflows/wallet-workflow'),
             activities: {
-                processWalletRange
+                processWalletRange,
+                planWalletPartitions,
+                ...auditRunActivities,
+                ...eventHandlerActivities
             },
             taskQueue: 'wallet-processing',
             // Add worker identity for better tracking
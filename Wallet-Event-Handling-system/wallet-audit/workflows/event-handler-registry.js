@@ -0,0 +1,74 @@
+// Loaded both inside workflow code and by the queue consumer, so no Node or Temporal imports here
+
+/**
+ * Event type -> handler workflow. Each workflow defines its own activities, activity timeouts and
+ * activity retry policy in event-handler-workflows.js; the options here apply to the workflow run.
+ *
+ * To handle a new event type: add its workflow (and activities), export it from
+ * event-handler-workflows.js and register it below. processAllWallets does not change.
+ * Event types from the audit rules without an entry here run the fallback handler.
+ */
+const eventHandlers = {
+    'REBALANCE_NEEDED': {
+        workflowType: 'rebalanceWallet',
+        workflowExecutionTimeout: '30 minutes'
+    },
+    'OPEN_POSITION_DETECTED': {
+        workflowType: 'reviewOpenPositions',
+        workflowExecutionTimeout: '15 minutes'
+    },
+    'OPEN_ORDER_DETECTED': {
+        workflowType: 'reconcileOpenOrders',
+        workflowExecutionTimeout: '15 minutes'
+    },
+    'NEW_BALANCE_UPDATE': {
+        workflowType: 'refreshBalance',
+        workflowExecutionTimeout: '5 minutes'
+    },
+    'BALANCE_CHECK_REQUIRED': {
+        workflowType: 'verifyBalance',
+        workflowExecutionTimeout: '5 minutes'
+    }
+};
+
+/**
+ * Generic handler for config-only rules: acknowledges the event and clears its flag, if any
+ */
+const fallbackHandler = {
+    workflowType: 'acknowledgeEvent',
+    workflowExecutionTimeout: '5 minutes'
+};
+
+const DEFAULT_HANDLER_TASK_QUEUE = 'wallet-processing';
+
+/**
+ * Handler of an event type; `fallback` returns the generic handler for types without a dedicated one
+ */
+function getEventHandler(eventType, { fallback = false } = {}) {
+    const handler = eventHandlers[eventType] || (fallback ? fallbackHandler : null);
+    if (!handler) return null;
+
+    return {
+        taskQueue: DEFAULT_HANDLER_TASK_QUEUE,
+        ...handler
+    };
+}
+
+function getHandledEventTypes() {
+    return Object.keys(eventHandlers);
+}
+
+/**
+ * One handler run per event of a queue item; redelivering the item maps to the same workflow id
+ */
+function getHandlerWorkflowId(eventType, item) {
+    return `${eventType}-${item.id}`;
+}
+
+module.exports = {
+    eventHandlers,
+    fallbackHandler,
+    getEventHandler,
+    getHandledEventTypes,
+    getHandlerWorkflowId
+};
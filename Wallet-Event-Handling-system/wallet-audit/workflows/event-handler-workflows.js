@@ -0,0 +1,132 @@
+const { proxyActivities } = require('@temporalio/workflow');
+
+// Each handler gets its own activity timeouts and retry policy
+
+const rebalanceActivities = proxyActivities({
+    startToCloseTimeout: '5 minutes',
+    retry: {
+        initialInterval: '10 seconds',
+        backoffCoefficient: 2,
+        maximumInterval: '2 minutes',
+        maximumAttempts: 5
+    }
+});
+
+const positionActivities = proxyActivities({
+    startToCloseTimeout: '2 minutes',
+    retry: {
+        initialInterval: '5 seconds',
+        maximumAttempts: 5
+    }
+});
+
+const orderActivities = proxyActivities({
+    startToCloseTimeout: '2 minutes',
+    retry: {
+        initialInterval: '5 seconds',
+        maximumAttempts: 5
+    }
+});
+
+const balanceActivities = proxyActivities({
+    startToCloseTimeout: '30 seconds',
+    retry: {
+        initialInterval: '1 second',
+        maximumAttempts: 3
+    }
+});
+
+const fallbackActivities = proxyActivities({
+    startToCloseTimeout: '1 minute',
+    retry: {
+        initialInterval: '1 second',
+        maximumAttempts: 3
+    }
+});
+
+/**
+ * A queued event is handled only while it is still raised on the wallet (see loadWalletSnapshot)
+ */
+function skipResolved(event, snapshot) {
+    if (snapshot.raised) return null;
+
+    console.log(`⏭️  ${event.event_type} for ${event.wallet_name} already resolved, nothing to do`);
+    return { wallet_name: event.wallet_name, action: 'none', skipped: true };
+}
+
+/**
+ * Clear the wallet flag once the action succeeded; a flag raised again meanwhile is kept
+ */
+async function resolveHandled(activities, event, result) {
+    const resolution = await activities.resolveEventFlag(event);
+    return { ...result, resolution };
+}
+
+/**
+ * REBALANCE_NEEDED
+ */
+async function rebalanceWallet(event) {
+    const snapshot = await rebalanceActivities.loadWalletSnapshot(event.wallet_name, event.event_type);
+    const skipped = skipResolved(event, snapshot);
+    if (skipped) return skipped;
+
+    const result = await rebalanceActivities.submitRebalance(snapshot.wallet);
+    return resolveHandled(rebalanceActivities, event, result);
+}
+
+/**
+ * OPEN_POSITION_DETECTED
+ */
+async function reviewOpenPositions(event) {
+    const snapshot = await positionActivities.loadWalletSnapshot(event.wallet_name, event.event_type);
+    const skipped = skipResolved(event, snapshot);
+    if (skipped) return skipped;
+
+    const result = await positionActivities.assessOpenPositions(snapshot.wallet);
+    return resolveHandled(positionActivities, event, result);
+}
+
+/**
+ * OPEN_ORDER_DETECTED
+ */
+async function reconcileOpenOrders(event) {
+    const snapshot = await orderActivities.loadWalletSnapshot(event.wallet_name, event.event_type);
+    const skipped = skipResolved(event, snapshot);
+    if (skipped) return skipped;
+
+    const result = await orderActivities.reconcileOrderBook(snapshot.wallet);
+    return resolveHandled(orderActivities, event, result);
+}
+
+/**
+ * NEW_BALANCE_UPDATE
+ */
+async function refreshBalance(event) {
+    const result = await balanceActivities.refreshWalletBalance(event.wallet_name);
+    return resolveHandled(balanceActivities, event, result);
+}
+
+/**
+ * BALANCE_CHECK_REQUIRED
+ */
+async function verifyBalance(event) {
+    const result = await balanceActivities.verifyWalletBalance(event.wallet_name);
+    return resolveHandled(balanceActivities, event, result);
+}
+
+/**
+ * Fallback for event types from the audit rules without a dedicated handler
+ */
+async function acknowledgeEvent(event) {
+    const result = await fallbackActivities.acknowledgeWalletEvent(event);
+    return resolveHandled(fallbackActivities, event, result);
+}
+
+module.exports = {
+    rebalanceWallet,
+    reviewOpenPositions,
+    reconcileOpenOrders,
+    refreshBalance,
+    verifyBalance,
+    acknowledgeEvent
+};
@@ -1,87 +1,366 @@
-const { proxyActivities } = require('@temporalio/workflow');
+const {
+    proxyActivities, workflowInfo, defineQuery, defineSignal, setHandler, condition, ApplicationFailure
+} = require('@temporalio/workflow');
+const eventHandlerWorkflows = require('./event-handler-workflows');
+// Bundled with the workflow code, so changes apply to workflows started after the workers restart
+const activityOptions = require('../config/activity-retry.json');
 
-// Import activities
-const { processWalletRange } = proxyActivities({
-    startToCloseTimeout: '1 minute',
-});
+// Import activities, each with its own timeouts and retry policy.
+// processWalletRange heartbeats after every chunk; a dead worker is detected by the missing
+// heartbeat, and the retry resumes after the last checkpointed wallet.
+const { planWalletPartitions } = proxyActivities(activityOptions.planWalletPartitions);
+const { processWalletRange } = proxyActivities(activityOptions.processWalletRange);
+const { startAuditRun } = proxyActivities(activityOptions.startAuditRun);
+const { finishAuditRun } = proxyActivities(activityOptions.finishAuditRun);
+
+// Progress of a running audit, and control over the partitions it has not launched yet
+const progressQuery = defineQuery('progress');
+const cancelSignal = defineSignal('cancel');
+const pauseSignal = defineSignal('pause');
+const resumeSignal = defineSignal('resume');
 
 /**
  * Main workflow to process all wallets with 1:1 worker-to-activity relationship
- * Each worker will handle exactly one activity with a specific wallet range
+ * Each worker will handle exactly one activity with a specific wallet range.
+ *
+ * At most options.maxConcurrentPartitions partitions run at once (default: numWorkers).
+ * The progress query reports every partition; pause/resume hold back launching new partitions,
+ * and cancel launches none anymore but lets the running ones finish, so their queue state commits.
+ *
+ * A failed partition does not fail the run: it is retried in up to options.retryPasses follow-up
+ * passes (default: 1) unless its error is non-retryable, and the summary lists the partitions
+ * that still failed. The run fails only when more than options.maxFailedRatio of the partitions
+ * failed (e.g. 0.2; default: no limit).
+ *
+ * Runs scan only the wallets changed since the last completed run, with a full sweep every
+ * options.fullSweepIntervalMinutes (default: 60); options.scanMode 'full' or 'incremental'
+ * forces one or the other (see planScan in wallet-activities.js).
+ *
+ * options.segment ({ name, condition }) limits the run to the wallets matching the condition, and
+ * options.ruleSet ({ name, eventTypes }) to the rules of those event types; see config/schedules.json.
+ *
+ * With options.cohorts (N) every run scans the next of N stable cohorts of the wallets, so a
+ * schedule covers every wallet once per N runs at a flat load; a cohort that did not complete
+ * is scanned again by the next run, up to COHORT_MAX_REPEATS times (see audit-cohorts.js).
+ *
+ * With options.dryRun the run detects and reconciles as usual but queues and records nothing;
+ * it stores only the events it would queue, under its own workflow id (see resultsRef).
  */
-async function processAllWallets(numWorkers) {
+async function processAllWallets(numWorkers, options = {}) {
     // Validate input
     if (!numWorkers || numWorkers < 1) {
         throw new Error('numWorkers must be a positive integer');
     }
+    if (options.cohorts !== undefined && (!Number.isInteger(options.cohorts) || options.cohorts < 1)) {
+        throw new Error('cohorts must be a positive integer');
+    }
+    const maxConcurrentPartitions = options.maxConcurrentPartitions || numWorkers;
+    const maxFailedRatio = options.maxFailedRatio ?? null;
+    const retryPasses = options.retryPasses ?? 1;
+    const dryRun = options.dryRun === true;
     
-    const totalWallets = 200;
-    const walletsPerWorker = Math.ceil(totalWallets / numWorkers);
+    // Events found by this run are stored by the activities, see audit-results.js; a dry run stores
+    // the events it would queue
+    const { workflowId, runId } = workflowInfo();
+    const resultsRef = { store: 'sqlite', table: 'audit_run_events', workflowId, runId };
     
-    console.log(`🚀 Starting wallet processing with ${numWorkers} workers`);
-    console.log(`📦 Each worker will handle exactly 1 activity with ${walletsPerWorker} wallets`);
-    console.log(`⚡ Worker-to-Activity ratio: 1:1`);
+    const progress = {
+        status: 'planning',
+        dryRun,
+        scanMode: null,
+        paused: false,
+        cancelRequested: false,
+        totalWallets: 0,
+        walletsProcessed: 0,
+        eventsFound: 0,
+        partitions: []
+    };
     
-    // Create exactly one activity per worker
-    const activities = [];
-    for (let i = 0; i < numWorkers; i++) {
-        const startWallet = i * walletsPerWorker + 1;
-        const endWallet = Math.min((i + 1) * walletsPerWorker, totalWallets);
-        const workerId = i + 1;
-        
-        activities.push({
-            workerId,
-            startWallet,
-            endWallet,
-            walletCount: endWallet - startWallet + 1
-        });
+    setHandler(progressQuery, () => getProgress(progress));
+    setHandler(cancelSignal, () => {
+        progress.cancelRequested = true;
+    });
+    setHandler(pauseSignal, () => {
+        progress.paused = true;
+    });
+    setHandler(resumeSignal, () => {
+        progress.paused = false;
+    });
+    
+    // Partition the wallets at the start of every run, so new wallets are picked up
+    const { totalWallets, partitions, scan } = await planWalletPartitions(numWorkers, {
+        scanMode: options.scanMode,
+        fullSweepIntervalMinutes: options.fullSweepIntervalMinutes,
+        segment: options.segment,
+        ruleSet: options.ruleSet,
+        cohorts: options.cohorts,
+        dryRun
+    });
+    progress.totalWallets = totalWallets;
+    progress.scanMode = scan.mode;
+    // A dry run is not recorded, so it does not move the high-water mark either
+    if (!dryRun) {
+        await startAuditRun({ numWorkers, totalWallets, totalPartitions: partitions.length, scan });
+    }
+    
+    if (partitions.length === 0) {
+        console.log(`📭 No wallets to scan (${scan.mode} scan), nothing to process`);
+        progress.status = 'completed';
+        const summary = {
+            totalWorkers: numWorkers,
+            dryRun,
+            scanMode: scan.mode,
+            scope: scan.scope,
+            cohort: scan.cohort || null,
+            totalActivities: 0,
+            workerToActivityRatio: '1:1',
+            totalWallets: 0,
+            totalWalletsProcessed: 0,
+            totalEventsFound: 0,
+            totalNewEvents: 0,
+            totalStillOpenEvents: 0,
+            totalResolvedEvents: 0,
+            eventCounts: {},
+            cancelled: false,
+            partialSuccess: false,
+            succeededPartitions: [],
+            failedPartitions: [],
+            failedRatio: 0,
+            workerResults: [],
+            resultsRef
+        };
+        if (!dryRun) {
+            await finishAuditRun({ outcome: progress.status, summary });
+        }
+        return summary;
     }
     
+    console.log(`🚀 Starting wallet ${dryRun ? 'dry run' : 'processing'} with ${numWorkers} workers`);
+    console.log(`💼 ${totalWallets} wallets in ${partitions.length} partitions (${scan.mode} scan${scan.scope ? ` of ${scan.scope}` : ''}: ${scan.reason})`);
+    console.log(`📦 Each worker will handle exactly 1 activity with about ${Math.ceil(totalWallets / partitions.length)} wallets`);
+    console.log(`⚡ Worker-to-Activity ratio: 1:1`);
+    
+    // Create exactly one activity per partition; with fewer wallets than workers some workers stay idle
+    const activities = partitions.map((partition, i) => ({
+        workerId: i + 1,
+        partition
+    }));
+    progress.partitions = activities.map(activity => ({
+        partitionId: activity.partition.partitionId,
+        label: activity.partition.label,
+        workerId: activity.workerId,
+        status: 'pending',
+        walletsProcessed: 0,
+        eventsFound: 0,
+        passes: 0,
+        error: null
+    }));
+    
     console.log('\n📋 Activity assignments (1 activity per worker):');
     activities.forEach((activity) => {
-        console.log(`  🎯 Activity ${activity.workerId} (Worker ${activity.workerId}): wallets ${activity.startWallet}-${activity.endWallet} (${activity.walletCount} wallets)`);
+        console.log(`  🎯 Activity ${activity.workerId} (Worker ${activity.workerId}): wallets ${activity.partition.label}`);
     });
     
-    // Execute exactly one activity per worker
+    // Launch the activities as capacity allows, unless paused or cancelled
     console.log('\n⚡ Executing activities (1 per worker):');
-    const promises = activities.map((activity) => {
-        console.log(`  🚀 Starting Activity ${activity.workerId} for Worker ${activity.workerId}`);
-        return processWalletRange(activity.startWallet, activity.endWallet, activity.workerId);
+    progress.status = 'running';
+    const results = new Map();
+    let running = 0;
+    
+    async function launchPartitions(pending) {
+        for (const activity of pending) {
+            await condition(() => progress.cancelRequested ||
+                (!progress.paused && running < maxConcurrentPartitions));
+            if (progress.cancelRequested) break;
+            
+            const partitionProgress = progress.partitions[activity.workerId - 1];
+            console.log(`  🚀 Starting Activity ${activity.workerId} for Worker ${activity.workerId}`);
+            partitionProgress.status = 'running';
+            partitionProgress.passes++;
+            running++;
+            
+            processWalletRange(activity.partition, activity.workerId, {
+                dryRun,
+                eventTypes: options.ruleSet ? options.ruleSet.eventTypes : null
+            }).then(
+                (result) => {
+                    partitionProgress.status = 'done';
+                    partitionProgress.walletsProcessed = result.walletsProcessed;
+                    partitionProgress.eventsFound = result.eventsFound;
+                    partitionProgress.error = null;
+                    progress.walletsProcessed += result.walletsProcessed;
+                    progress.eventsFound += result.eventsFound;
+                    results.set(activity.workerId, result);
+                    running--;
+                },
+                (error) => {
+                    partitionProgress.status = 'failed';
+                    partitionProgress.error = describeFailure(error);
+                    console.log(`  ❌ Activity ${activity.workerId} failed: ${partitionProgress.error.type}: ${partitionProgress.error.message}`);
+                    running--;
+                }
+            );
+        }
+        
+        // Wait for all launched activities to complete
+        await condition(() => running === 0);
+    }
+    
+    await launchPartitions(activities);
+    
+    // A failed partition has exhausted its activity retries; give the retryable ones another pass,
+    // as a new activity, once the others are done
+    for (let pass = 1; pass <= retryPasses && !progress.cancelRequested; pass++) {
+        const retryable = activities.filter(activity => {
+            const partitionProgress = progress.partitions[activity.workerId - 1];
+            return partitionProgress.status === 'failed' && partitionProgress.error.retryState !== 'NON_RETRYABLE_FAILURE';
+        });
+        if (retryable.length === 0) break;
+        
+        console.log(`\n🔁 Retrying ${retryable.length} failed partitions (follow-up pass ${pass} of ${retryPasses})`);
+        progress.status = 'retrying';
+        await launchPartitions(retryable);
+    }
+    
+    // Partitions never launched because of a cancel
+    const notLaunched = progress.partitions.filter(partition => partition.status === 'pending');
+    notLaunched.forEach(partition => {
+        partition.status = 'cancelled';
+    });
+    const cancelled = notLaunched.length > 0;
+    if (cancelled) {
+        console.log(`\n🛑 Run cancelled, ${notLaunched.length} partitions not processed`);
+    }
+    
+    const failedPartitions = progress.partitions
+        .filter(partition => partition.status === 'failed')
+        .map(partition => ({ ...partition }));
+    const failedRatio = failedPartitions.length / progress.partitions.length;
+    failedPartitions.forEach(partition => {
+        console.log(`❌ Partition ${partition.partitionId} ${partition.label} failed permanently after ${partition.passes} passes: ${partition.error.type}: ${partition.error.message}`);
     });
     
-    // Wait for all activities to complete
-    const results = await Promise.all(promises);
+    const sortedResults = [...results.values()].sort((a, b) => a.workerId - b.workerId);
     
     // Aggregate results
     const summary = {
         totalWorkers: numWorkers,
-        totalActivities: numWorkers,
+        dryRun,
+        scanMode: scan.mode,
+        scope: scan.scope,
+        cohort: scan.cohort || null,
+        totalActivities: sortedResults.length,
         workerToActivityRatio: '1:1',
+        totalWallets,
         totalWalletsProcessed: 0,
         totalEventsFound: 0,
-        workerResults: results,
-        allEvents: []
+        totalNewEvents: 0,
+        totalStillOpenEvents: 0,
+        totalResolvedEvents: 0,
+        eventCounts: {},
+        cancelled,
+        partialSuccess: failedPartitions.length > 0,
+        succeededPartitions: sortedResults.map(result => result.partitionId),
+        failedPartitions,
+        failedRatio,
+        workerResults: sortedResults,
+        resultsRef
     };
     
     console.log('\n✅ Activity completion results:');
-    results.forEach((result) => {
+    sortedResults.forEach((result) => {
         summary.totalWalletsProcessed += result.walletsProcessed;
         summary.totalEventsFound += result.eventsFound;
-        summary.allEvents.push(...result.events);
+        summary.totalNewEvents += result.newEvents;
+        summary.totalStillOpenEvents += result.stillOpenEvents;
+        summary.totalResolvedEvents += result.resolvedEvents;
+        Object.entries(result.eventCounts || {}).forEach(([eventType, count]) => {
+            summary.eventCounts[eventType] = (summary.eventCounts[eventType] || 0) + count;
+        });
         
         console.log(`   Activity ${result.workerId} (Worker ${result.workerId}) completed: ${result.walletsProcessed} wallets, ${result.eventsFound} events`);
     });
     
+    // Too many failures fail the run, still carrying the summary of what succeeded
+    if (maxFailedRatio !== null && failedRatio > maxFailedRatio) {
+        progress.status = 'failed';
+        if (!dryRun) {
+            await finishAuditRun({ outcome: 'failed', summary });
+        }
+        throw ApplicationFailure.create({
+            type: 'PartitionsFailed',
+            message: `${failedPartitions.length} of ${progress.partitions.length} partitions failed permanently, ` +
+                `more than the allowed ${Math.round(maxFailedRatio * 100)}%: ` +
+                failedPartitions.map(partition => `${partition.partitionId} (${partition.error.type})`).join(', '),
+            nonRetryable: true,
+            details: [summary]
+        });
+    }
+    
+    if (cancelled) {
+        progress.status = 'cancelled';
+    } else {
+        progress.status = failedPartitions.length > 0 ? 'partial' : 'completed';
+    }
+    
     console.log(`\n🎉 === PROCESSING COMPLETE ===`);
     console.log(`👥 Workers used: ${summary.totalWorkers}`);
     console.log(`⚡ Activities executed: ${summary.totalActivities}`);
     console.log(`⚡ Worker-to-Activity ratio: ${summary.workerToActivityRatio}`);
     console.log(`💼 Total wallets processed: ${summary.totalWalletsProcessed}`);
     console.log(` Total events found: ${summary.totalEventsFound}`);
+    console.log(`🆕 New events ${dryRun ? 'that would be queued' : 'queued'}: ${summary.totalNewEvents}`);
+    console.log(`⏳ Still open (not re-queued): ${summary.totalStillOpenEvents}`);
+    console.log(`✔️  Resolved since last run: ${summary.totalResolvedEvents}`);
+    if (summary.partialSuccess) {
+        console.log(`⚠️  Partitions failed: ${failedPartitions.length} of ${progress.partitions.length} (${failedPartitions.map(partition => partition.partitionId).join(', ')})`);
+    }
+    if (dryRun) {
+        console.log(`🧪 Dry run: nothing was queued or recorded, events it would queue stored for run ${runId}`);
+        return summary;
+    }
+    console.log(`🗄️  Events stored for run ${runId} (npm run runs:events ${workflowId})`);
     
+    await finishAuditRun({ outcome: progress.status, summary });
     return summary;
 }
 
+/**
+ * Why an activity failed for good: the failure type its error was classified as (see
+ * activity-errors.js), the message and Temporal's retry state (NON_RETRYABLE_FAILURE,
+ * MAXIMUM_ATTEMPTS_REACHED, TIMEOUT)
+ */
+function describeFailure(error) {
+    const cause = error.cause || error;
+    return {
+        type: cause.type || cause.name,
+        message: cause.message,
+        retryState: error.retryState || null
+    };
+}
+
+/**
+ * Snapshot returned by the progress query, with partition counts per status
+ */
+function getProgress(progress) {
+    const counts = { pending: 0, running: 0, done: 0, failed: 0, cancelled: 0 };
+    progress.partitions.forEach(partition => {
+        counts[partition.status]++;
+    });
+
+    return {
+        ...progress,
+        counts,
+        partitions: progress.partitions.map(partition => ({ ...partition }))
+    };
+}
+
 module.exports = {
-    processAllWallets
-}; 
\ No newline at end of file
+    processAllWallets,
+    progressQuery,
+    cancelSignal,
+    pauseSignal,
+    resumeSignal,
+    // Handler workflows started per event type, see event-handler-registry.js
+    ...eventHandlerWorkflows
+};
@@ -5,7 +5,7 @@ function startWorkers(numWorkers = 4) {
     console.log(`🚀 Starting ${numWorkers} Temporal workers for parallel processing...`);
     console.log(`⚡ Worker-to-Activity ratio: 1:1`);
     console.log(`📦 Each worker will handle exactly one activity`);
-    console.log(`💼 Wallets per worker: ${Math.ceil(200 / numWorkers)}`);
+    console.log(`💼 Wallets per worker: 1/${numWorkers} of the wallets in the database (counted at the start of each run)`);
     console.log('');
     
     const workers = [];
@@ -1,6 +1,8 @@
 const { Client } = require('@temporalio/client');
 const { processAllWallets } = require('../workflows/wallet-workflow');
 const { TemporalWorkerManager } = require('../scripts/temporal-worker-manager');
+const { openDatabase, closeDatabase } = require('../database/wallet-db');
+const { getRunEvents } = require('../database/audit-results');
 
 async function runWorkflow(numWorkers) {
     // Validate input
@@ -14,7 +16,7 @@ async function runWorkflow(numWorkers) {
     console.log(`🚀 Starting wallet processing workflow with ${numWorkers} workers`);
     console.log(`⚡ Worker-to-Activity ratio: 1:1`);
     console.log(`📦 Each worker will handle exactly one activity`);
-    console.log(`💼 Wallets per worker: ${Math.ceil(200 / numWorkers)}`);
+    console.log(`💼 Wallets per worker: 1/${numWorkers} of the wallets in the database (counted at the start of each run)`);
     console.log('');
     
     try {
@@ -42,18 +44,33 @@ async function runWorkflow(numWorkers) {
         console.log(`👥 Workers used: ${result.totalWorkers}`);
         console.log(`⚡ Activities executed: ${result.totalActivities}`);
         console.log(`⚡ Worker-to-Activity ratio: ${result.workerToActivityRatio}`);
-        console.log(`💼 Total wallets processed: ${result.totalWalletsProcessed}`);
+        console.log(`💼 Total wallets processed: ${result.totalWalletsProcessed} of ${result.totalWallets}`);
         console.log(`📊 Total events found: ${result.totalEventsFound}`);
         
-        // Show some sample events
-        if (result.allEvents.length > 0) {
+        if (result.partialSuccess) {
+            console.log(`\n⚠️  ${result.failedPartitions.length} partitions failed:`);
+            result.failedPartitions.forEach(partition => {
+                console.log(`  ❌ ${partition.label}: ${partition.error.type}: ${partition.error.message}`);
+            });
+        }
+        
+        // Show some sample events, stored by the activities rather than returned by the workflow
+        const db = await openDatabase();
+        let stored;
+        try {
+            stored = await getRunEvents(db, result.resultsRef.workflowId, result.resultsRef.runId);
+        } finally {
+            await closeDatabase(db);
+        }
+        
+        if (stored.events.length > 0) {
             console.log('\n📋 Sample events found:');
-            result.allEvents.slice(0, 10).forEach(event => {
+            stored.events.slice(0, 10).forEach(event => {
                 console.log(`  💳 ${event.wallet_name}: [${event.events.join(', ')}]`);
             });
             
-            if (result.allEvents.length > 10) {
-                console.log(`  ... and ${result.allEvents.length - 10} more events`);
+            if (stored.events.length > 10) {
+                console.log(`  ... and ${stored.events.length - 10} more events (npm run runs:events ${handle.workflowId})`);
             }
         }
         